@@ -1,17 +1,44 @@
 const fastify = require('fastify');
 const fastifyCors = require('@fastify/cors');
+const fastifyWebsocket = require('@fastify/websocket');
 
 const routes = require('./routes');
 
 const { customError } = require('./middlewares');
 
-const app = fastify({ logger: true });
+/**
+ * Builds the Fastify application with CORS, WebSocket support, all routes and the error handler
+ * @param {Object} [options={}] - Extra Fastify server options, e.g. { http2: true } for a cleartext HTTP/2 (h2c) server
+ * @returns {Object} Fastify instance
+ */
+const buildApp = (options = {}) => {
+  const app = fastify({ logger: true, ...options });
 
-app.register(fastifyCors, {
-  origin: '*',
-});
-app.register(routes, { prefix: '/api/v1' });
+  app.register(fastifyCors, {
+    origin: '*',
+    exposedHeaders: [
+      'Content-Range',
+      'ETag',
+      'Idempotent-Replayed',
+      'Location',
+      'Upload-Length',
+      'Upload-Offset',
+      'X-Dataset-Seed',
+      'X-Frame-Count',
+      'X-Frame-Crc',
+      'X-Frame-Element-Type',
+      'X-Frame-Payload-Bytes',
+      'X-Stream-Cursor',
+      'X-Stream-Total',
+      'X-Ticker-Id',
+    ],
+  });
+  app.register(fastifyWebsocket, { options: { maxPayload: 1024 * 1024 } });
+  app.register(routes, { prefix: '/api/v1' });
 
-app.setErrorHandler(customError);
+  app.setErrorHandler(customError);
 
-module.exports = app;
+  return app;
+};
+
+module.exports = buildApp;
@@ -1,4 +1,18 @@
-const { Duplex } = require('node:stream');
+const { isUtf8 } = require('node:buffer');
+const crypto = require('node:crypto');
+const { setMaxListeners } = require('node:events');
+const { Duplex, Readable, Transform } = require('node:stream');
+const { setTimeout: sleep } = require('node:timers/promises');
+
+const {
+  CustomError,
+  framing: { FRAMINGS, JsonFrameDecoder, createCodec },
+  IntentEngine,
+  random: { createRandom, randomSeed },
+  sessionStore: { createSessionStore },
+} = require('../helpers');
+const { computeHash } = require('./encrypt');
+const { transformCase, transformEncoding } = require('./transform');
 
 /**
  * System limits for duplex stream operations
@@ -14,59 +28,160 @@ const LIMITS = {
   MAX_DELAY: 5000,
   /** Minimum delay between responses in ms */
   MIN_DELAY: 50,
+  /** Buffered outgoing WebSocket bytes above which the duplex output is paused */
+  SOCKET_BUFFER_HIGH: 64 * 1024,
+  /** Buffered outgoing WebSocket bytes below which the duplex output resumes */
+  SOCKET_BUFFER_LOW: 16 * 1024,
+  /** Maximum number of chat sessions kept by the memory store */
+  MAX_SESSIONS: 500,
+  /** Maximum number of turns kept per chat session, older turns are dropped */
+  MAX_SESSION_TURNS: 200,
+  /** Maximum length of a chat session id */
+  MAX_SESSION_ID_LENGTH: 64,
+  /** Maximum number of JSON-RPC messages processed at once before input is paused */
+  MAX_RPC_PENDING: 16,
+  /** Maximum number of requests in one JSON-RPC batch */
+  MAX_RPC_BATCH: 50,
+  /** Maximum number of JSON-RPC calls per stream */
+  MAX_RPC_CALLS: 500,
 };
 
 /**
- * A duplex stream that echoes incoming data with optional transformations
+ * Chat session store, picked with the CHAT_SESSION_STORE environment variable (memory or file)
+ * @type {MemorySessionStore|FileSessionStore}
+ */
+const SESSION_STORE = createSessionStore(process.env.CHAT_SESSION_STORE, {
+  max: LIMITS.MAX_SESSIONS,
+  name: 'sessions',
+});
+
+/**
+ * Ids of chat sessions with an open stream. Each stream saves the session it loaded when it ends,
+ * so a second stream on the same session would overwrite the first one's turns and facts.
+ * @type {Set<string>}
+ */
+const OPEN_SESSIONS = new Set();
+
+/**
+ * Chat intents shared by every personality, tried in order after a personality's own intents.
+ * Named regex groups become slots; slots listed in `remember` are kept in the session facts.
+ * @type {Object[]}
+ */
+const CHAT_INTENTS = [
+  {
+    name: 'introduce',
+    patterns: [{ regex: "\\bmy name is (?<name>[\\p{L}'-]{1,40})", flags: 'iu' }],
+    remember: ['name'],
+  },
+  { name: 'ask_name', patterns: [{ regex: "\\bwhat(?:'s| is) my name\\b", flags: 'i' }] },
+  { name: 'recall', patterns: [{ regex: '\\bwhat did i (?:say|ask)\\b', flags: 'i' }] },
+  { name: 'greeting', patterns: [{ keywords: ['hello', 'hi', 'hey'] }] },
+  { name: 'question', patterns: [{ regex: '\\?' }] },
+  { name: 'goodbye', patterns: [{ keywords: ['bye', 'goodbye', 'see you'] }] },
+];
+
+/**
+ * Responses for intents a personality does not answer itself.
+ * Placeholders: {name} remembered name, {last} previous message, {text} and {ago} for repeats.
+ * @type {Object<string, string[]>}
+ */
+const CHAT_RESPONSES = {
+  introduce: ["Nice to meet you, {name}! I'll remember that."],
+  ask_name: ['Your name is {name}.', "You haven't told me your name yet."],
+  recall: ['Earlier you said: "{last}"', 'This is the first thing you said to me.'],
+  repeat: ['You said "{text}" before, {ago} ago.'],
+  end: ['Goodbye! Thanks for chatting.'],
+};
+
+/**
+ * Personalities available without loading any definition
+ * @type {Object[]}
+ */
+const CHAT_PERSONALITIES = [
+  {
+    name: 'friendly',
+    description: 'Warm and encouraging',
+    responses: {
+      greeting: [
+        'Welcome back, {name}! How are you today?',
+        'Hello there! How are you today?',
+        'Hi! Great to meet you!',
+        'Hey! How can I help you?',
+      ],
+      question: ["That's a great question!", 'Hmm, let me think about that...', 'Interesting point!'],
+      goodbye: ['See you later, {name}!', 'See you later!', 'Take care!', 'Have a wonderful day!'],
+      fallback: ["That's fascinating!", 'Tell me more!', 'I see what you mean!'],
+    },
+  },
+  {
+    name: 'sarcastic',
+    description: 'Unimpressed by everything',
+    responses: {
+      greeting: ['Oh, {name} again...', 'Oh, another human...', 'Well, well, well...', 'Let me guess, you need help?'],
+      question: ["Really? That's your question?", 'Wow, so deep...', 'Groundbreaking stuff here.'],
+      goodbye: ['Finally!', "Don't let the door hit you...", 'Peace out!'],
+      introduce: ["{name}. I'll try to forget that."],
+      repeat: ['You already said "{text}", {ago} ago. Riveting the first time too.'],
+      fallback: ['Riveting...', 'Absolutely thrilling.', 'My circuits are tingling with excitement.'],
+      end: ['Finally, some peace and quiet.'],
+    },
+  },
+  {
+    name: 'helpful',
+    description: 'Polite and to the point',
+    responses: {
+      greeting: [
+        'Welcome back, {name}! How may I help?',
+        "Hello! I'm here to assist you.",
+        'Welcome! How may I help?',
+        'Hi! Ready to solve problems together?',
+      ],
+      question: ['Let me analyze that for you.', "Here's what I think...", 'Based on my knowledge...'],
+      goodbye: ['Goodbye! Feel free to return anytime.', 'Have a productive day!', 'Until next time!'],
+      fallback: ['I understand.', 'That makes sense.', 'Let me process that information.'],
+    },
+  },
+];
+
+/**
+ * Intent engine shared by every chat bot stream; personalities can be added at runtime
+ * @type {IntentEngine}
+ */
+const INTENT_ENGINE = new IntentEngine({
+  intents: CHAT_INTENTS,
+  responses: CHAT_RESPONSES,
+  personalities: CHAT_PERSONALITIES,
+});
+
+/**
+ * Base class for the duplex streams that exchange messages.
+ * Incoming bytes are split into messages by a framing codec and outgoing messages are encoded with the same codec,
+ * so subclasses only handle whole messages and never see the wire format.
+ * Messages are Buffers, so binary framings (length, netstring) carry any bytes; each subclass decodes them as it needs.
  * @extends {Duplex}
  */
-class EchoStream extends Duplex {
+class MessageDuplex extends Duplex {
   /**
-   * Creates an EchoStream instance
+   * Creates a MessageDuplex instance
    * @param {Object} [options={}] - Stream configuration options
-   * @param {number} [options.delay=100] - Delay before echoing in ms
-   * @param {boolean} [options.uppercase=false] - Convert to uppercase
-   * @param {string} [options.prefix=''] - Prefix to add to echoed messages
+   * @param {string} [options.framing='newline'] - Message framing (newline, length, netstring, jsonrpc)
+   * @param {Object} [options.codec] - Custom codec used instead of a named framing
    */
   constructor(options = {}) {
     super(options);
-    this.delay = Math.max(LIMITS.MIN_DELAY, Math.min(LIMITS.MAX_DELAY, options.delay || 100));
-    this.uppercase = options.uppercase || false;
-    this.prefix = options.prefix || '';
-    this.messageCount = 0;
-    this.buffer = '';
-    this._timers = [];
+    this.codec = options.codec ?? createCodec(options.framing, { maxFrameSize: LIMITS.MAX_MESSAGE_SIZE });
+    this.decoder = this.codec.createDecoder();
   }
 
   /**
-   * Internal method to write data to the stream
+   * Internal method to decode written bytes into messages
    * @param {Buffer|string} chunk - Data chunk to write
    * @param {string} encoding - Text encoding if chunk is string
    * @param {Function} callback - Callback to call when write is complete
    * @private
    */
   _write(chunk, encoding, callback) {
-    if (this.messageCount >= LIMITS.MAX_MESSAGES) {
-      return callback(new Error('Maximum message limit reached'));
-    }
-
-    const data = chunk.toString();
-    if (data.length > LIMITS.MAX_MESSAGE_SIZE) {
-      return callback(new Error('Message size exceeds limit'));
-    }
-
-    this.buffer += data;
-    const lines = this.buffer.split('\n');
-    this.buffer = lines.pop() || '';
-
-    // Process complete lines
-    lines.forEach(line => {
-      if (line.trim()) {
-        this._echoLine(line.trim());
-      }
-    });
-
-    callback();
+    this._handleDecoded(this.decoder.push(Buffer.from(chunk, encoding)), callback);
   }
 
   /**
@@ -74,7 +189,7 @@ class EchoStream extends Duplex {
    * @private
    */
   _read() {
-    // Reading is handled by the echo mechanism
+    // Reading is handled by the subclass pushing responses
   }
 
   /**
@@ -83,12 +198,97 @@ class EchoStream extends Duplex {
    * @private
    */
   _final(callback) {
-    // Process any remaining data in buffer
-    if (this.buffer.trim()) {
-      this._echoLine(this.buffer.trim());
+    this._handleDecoded(this.decoder.end(), error => (error ? callback(error) : this._onEnd(callback)));
+  }
+
+  /**
+   * Handles the decoded messages, then reports the framing error that followed them, if any
+   * @param {{messages: Buffer[], error: Error|null}} decoded - Result of the decoder
+   * @param {Function} callback - Callback receiving the framing or message error
+   * @private
+   */
+  _handleDecoded({ messages, error }, callback) {
+    try {
+      messages.forEach(message => this._onMessage(message));
+    } catch (messageError) {
+      return callback(messageError);
+    }
+    callback(error);
+  }
+
+  /**
+   * Sends a message, encoded with the stream's framing
+   * @param {string|Buffer} message - Outgoing message
+   * @protected
+   */
+  _send(message) {
+    this.push(this.codec.encode(message));
+  }
+
+  /**
+   * Handles one incoming message, throwing to fail the write
+   * @param {Buffer} message - Incoming message bytes
+   * @abstract
+   * @protected
+   */
+  _onMessage(message) {
+    throw new Error(`${this.constructor.name} does not handle messages: ${message}`);
+  }
+
+  /**
+   * Ends the readable side once every response has been sent
+   * @param {Function} callback - Callback to call when finalization is complete
+   * @protected
+   */
+  _onEnd(callback) {
+    this.push(null);
+    callback();
+  }
+}
+
+/**
+ * A duplex stream that echoes incoming data with optional transformations
+ * @extends {Duplex}
+ */
+class EchoStream extends MessageDuplex {
+  /**
+   * Creates an EchoStream instance
+   * @param {Object} [options={}] - Stream configuration options
+   * @param {number} [options.delay=100] - Delay before echoing in ms
+   * @param {boolean} [options.uppercase=false] - Convert to uppercase
+   * @param {string} [options.prefix=''] - Prefix to add to echoed messages
+   * @param {string} [options.framing='newline'] - Message framing
+   */
+  constructor(options = {}) {
+    super(options);
+    this.delay = Math.max(LIMITS.MIN_DELAY, Math.min(LIMITS.MAX_DELAY, options.delay || 100));
+    this.uppercase = options.uppercase || false;
+    this.prefix = options.prefix || '';
+    this.messageCount = 0;
+    this._timers = new Set();
+  }
+
+  /**
+   * Schedules the echo of one message
+   * @param {Buffer} message - Incoming message bytes
+   * @throws {Error} When the message limit is reached
+   * @protected
+   */
+  _onMessage(message) {
+    if (this.messageCount >= LIMITS.MAX_MESSAGES) {
+      throw new Error('Maximum message limit reached');
     }
+    // Counted when scheduled, so a fast client cannot queue more echoes than the limit
+    this.messageCount++;
+    this._echoLine(message);
+  }
 
-    // Wait for all pending echoes, then end
+  /**
+   * Waits for all pending echoes, then ends
+   * @param {Function} callback - Callback to call when finalization is complete
+   * @protected
+   */
+  _onEnd(callback) {
     setTimeout(() => {
       this.push(null);
       callback();
@@ -96,27 +296,19 @@ class EchoStream extends Duplex {
   }
 
   /**
-   * Echo a line with transformations and delay
-   * @param {string} line - Line to echo
+   * Echo a line with transformations and delay. Without uppercase the bytes are echoed unchanged.
+   * @param {Buffer} line - Line to echo
    * @private
    */
   _echoLine(line) {
     const timer = setTimeout(() => {
-      let response = line;
-
-      if (this.uppercase) {
-        response = response.toUpperCase();
-      }
-
-      if (this.prefix) {
-        response = `${this.prefix}${response}`;
-      }
+      this._timers.delete(timer);
+      const response = this.uppercase ? Buffer.from(line.toString().toUpperCase()) : line;
 
-      this.push(`Echo: ${response}\n`);
-      this.messageCount++;
+      this._send(Buffer.concat([Buffer.from(`Echo: ${this.prefix}`), response]));
     }, this.delay);
 
-    this._timers.push(timer);
+    this._timers.add(timer);
   }
 
   /**
@@ -127,7 +319,7 @@ class EchoStream extends Duplex {
    */
   _destroy(err, callback) {
     this._timers.forEach(timer => clearTimeout(timer));
-    this._timers = [];
+    this._timers.clear();
     callback(err);
   }
 }
@@ -136,75 +328,45 @@ class EchoStream extends Duplex {
  * A duplex stream that transforms data bidirectionally
  * @extends {Duplex}
  */
-class TransformStream extends Duplex {
+class TransformStream extends MessageDuplex {
   /**
    * Creates a TransformStream instance
    * @param {Object} [options={}] - Stream configuration options
    * @param {string} [options.mode='reverse'] - Transform mode (reverse, rot13, base64)
+   * @param {string} [options.framing='newline'] - Message framing
    */
   constructor(options = {}) {
     super(options);
     this.mode = options.mode || 'reverse';
-    this.buffer = '';
     this.responseCount = 0;
   }
 
   /**
-   * Internal method to write data to the stream
-   * @param {Buffer|string} chunk - Data chunk to write
-   * @param {string} encoding - Text encoding if chunk is string
-   * @param {Function} callback - Callback to call when write is complete
-   * @private
+   * Transforms one message
+   * @param {Buffer} message - Incoming message bytes
+   * @throws {Error} When the transform limit is reached
+   * @protected
    */
-  _write(chunk, encoding, callback) {
+  _onMessage(message) {
     if (this.responseCount >= LIMITS.MAX_MESSAGES) {
-      return callback(new Error('Maximum transform limit reached'));
+      throw new Error('Maximum transform limit reached');
     }
-
-    this.buffer += chunk.toString();
-    const lines = this.buffer.split('\n');
-    this.buffer = lines.pop() || '';
-
-    lines.forEach(line => {
-      if (line.trim()) {
-        const transformed = this._transform(line.trim());
-        this.push(`${transformed}\n`);
-        this.responseCount++;
-      }
-    });
-
-    callback();
-  }
-
-  /**
-   * Internal method to read data from the stream
-   * @private
-   */
-  _read() {
-    // Reading is handled by the transform mechanism
+    this._send(this._transform(message));
+    this.responseCount++;
   }
 
   /**
-   * Called when no more data will be written
-   * @param {Function} callback - Callback to call when finalization is complete
+   * Transform a line based on the selected mode. base64 encodes the raw bytes, the other modes work on UTF-8 text.
+   * @param {Buffer} message - Message to transform
+   * @returns {string} Transformed line
    * @private
    */
-  _final(callback) {
-    if (this.buffer.trim()) {
-      const transformed = this._transform(this.buffer.trim());
-      this.push(`${transformed}\n`);
+  _transform(message) {
+    if (this.mode === 'base64') {
+      return message.toString('base64');
     }
-    this.push(null);
-    callback();
-  }
 
-  /**
-   * Transform a line based on the selected mode
-   * @param {string} line - Line to transform
-   * @returns {string} Transformed line
-   * @private
-   */
-  _transform(line) {
+    const line = message.toString();
     switch (this.mode) {
       case 'reverse':
         return line.split('').reverse().join('');
@@ -213,8 +375,6 @@ class TransformStream extends Duplex {
           const start = char <= 'Z' ? 65 : 97;
           return String.fromCharCode(((char.charCodeAt(0) - start + 13) % 26) + start);
         });
-      case 'base64':
-        return Buffer.from(line).toString('base64');
       case 'morse':
         return this._toMorse(line);
       default:
@@ -269,264 +429,1060 @@ class TransformStream extends Duplex {
 
 /**
  * A duplex stream that simulates a chat bot conversation
+ * Messages are matched to intents by the intent engine and answered in the personality's voice.
+ * Turns are recorded in a session, so a conversation can continue over several requests.
  * @extends {Duplex}
  */
-class ChatBotStream extends Duplex {
+class ChatBotStream extends MessageDuplex {
   /**
    * Creates a ChatBotStream instance
    * @param {Object} [options={}] - Stream configuration options
    * @param {string} [options.personality='friendly'] - Bot personality
+   * @param {Object} [options.session] - Session to continue, a new in-memory one when missing
+   * @param {number} [options.seed] - Seed for reproducible response choices, random when omitted
+   * @param {string} [options.framing='newline'] - Message framing
    */
   constructor(options = {}) {
     super(options);
     this.personality = options.personality || 'friendly';
+    this.session = options.session || createChatSession();
+    this.session.personality = this.personality;
+    this.seed = Number.isInteger(Number(options.seed ?? NaN)) ? Number(options.seed) >>> 0 : randomSeed();
+    this.random = createRandom(this.seed);
     this.conversationHistory = [];
-    this.buffer = '';
+    this.intentCounts = {};
   }
 
   /**
-   * Internal method to write data to the stream
-   * @param {Buffer|string} chunk - Data chunk to write
-   * @param {string} encoding - Text encoding if chunk is string
-   * @param {Function} callback - Callback to call when write is complete
-   * @private
+   * Answers one message
+   * @param {Buffer} message - Incoming message bytes
+   * @protected
    */
-  _write(chunk, encoding, callback) {
-    this.buffer += chunk.toString();
-    const lines = this.buffer.split('\n');
-    this.buffer = lines.pop() || '';
-
-    lines.forEach(line => {
-      if (line.trim()) {
-        const response = this._generateResponse(line.trim());
-        this.push(`Bot: ${response}\n`);
-      }
-    });
+  _onMessage(message) {
+    const text = message.toString().trim();
+    if (text) {
+      this._reply(this._generateResponse(text));
+    }
+  }
 
+  /**
+   * Says goodbye and ends
+   * @param {Function} callback - Callback to call when finalization is complete
+   * @protected
+   */
+  _onEnd(callback) {
+    this._reply(this._respond('end', {}));
+    this.push(null);
     callback();
   }
 
   /**
-   * Internal method to read data from the stream
+   * Records a turn in the session, dropping the oldest turns past the limit
+   * @param {string} role - Who spoke (user, bot)
+   * @param {string} text - What was said
    * @private
    */
-  _read() {
-    // Reading is handled by the response mechanism
+  _addTurn(role, text) {
+    const { turns } = this.session;
+    turns.push({ role, text, at: new Date().toISOString() });
+    if (turns.length > LIMITS.MAX_SESSION_TURNS) {
+      turns.splice(0, turns.length - LIMITS.MAX_SESSION_TURNS);
+    }
+    this.session.updatedAt = new Date().toISOString();
   }
 
   /**
-   * Called when no more data will be written
-   * @param {Function} callback - Callback to call when finalization is complete
+   * Sends a bot reply and records it
+   * @param {string} response - Bot response
    * @private
    */
-  _final(callback) {
-    if (this.buffer.trim()) {
-      const response = this._generateResponse(this.buffer.trim());
-      this.push(`Bot: ${response}\n`);
-    }
-    this.push('Bot: Goodbye! Thanks for chatting.\n');
-    this.push(null);
-    callback();
+  _reply(response) {
+    this._addTurn('bot', response);
+    this._send(`Bot: ${response}`);
+  }
+
+  /**
+   * Answers an intent with the session facts available to the templates
+   * @param {string} intent - Intent to answer
+   * @param {Object<string, string>} values - Extra placeholder values, e.g. captured slots
+   * @returns {string} Bot response
+   * @private
+   */
+  _respond(intent, values) {
+    this.intentCounts[intent] = (this.intentCounts[intent] || 0) + 1;
+    return INTENT_ENGINE.respond(this.personality, intent, { ...this.session.facts, ...values }, this.random);
   }
 
   /**
-   * Generate a response based on input and personality
+   * Generate a response based on input, personality and the earlier turns of the session
    * @param {string} input - User input
    * @returns {string} Bot response
    * @private
    */
   _generateResponse(input) {
+    const previousTurns = this.session.turns.filter(turn => turn.role === 'user');
     this.conversationHistory.push(input);
-    const lowerInput = input.toLowerCase();
-
-    const responses = {
-      friendly: {
-        greeting: ['Hello there! How are you today?', 'Hi! Great to meet you!', 'Hey! How can I help you?'],
-        question: ["That's a great question!", 'Hmm, let me think about that...', 'Interesting point!'],
-        goodbye: ['See you later!', 'Take care!', 'Have a wonderful day!'],
-        default: ["That's fascinating!", 'Tell me more!', 'I see what you mean!'],
-      },
-      sarcastic: {
-        greeting: ['Oh, another human...', 'Well, well, well...', 'Let me guess, you need help?'],
-        question: ["Really? That's your question?", 'Wow, so deep...', 'Groundbreaking stuff here.'],
-        goodbye: ['Finally!', "Don't let the door hit you...", 'Peace out!'],
-        default: ['Riveting...', 'Absolutely thrilling.', 'My circuits are tingling with excitement.'],
-      },
-      helpful: {
-        greeting: [
-          "Hello! I'm here to assist you.",
-          'Welcome! How may I help?',
-          'Hi! Ready to solve problems together?',
-        ],
-        question: ['Let me analyze that for you.', "Here's what I think...", 'Based on my knowledge...'],
-        goodbye: ['Goodbye! Feel free to return anytime.', 'Have a productive day!', 'Until next time!'],
-        default: ['I understand.', 'That makes sense.', 'Let me process that information.'],
-      },
-    };
+    this._addTurn('user', input);
 
-    const personality = responses[this.personality] || responses.friendly;
-
-    if (lowerInput.includes('hello') || lowerInput.includes('hi') || lowerInput.includes('hey')) {
-      return this._randomResponse(personality.greeting);
-    } else if (lowerInput.includes('?')) {
-      return this._randomResponse(personality.question);
-    } else if (lowerInput.includes('bye') || lowerInput.includes('goodbye') || lowerInput.includes('see you')) {
-      return this._randomResponse(personality.goodbye);
-    } else {
-      return this._randomResponse(personality.default);
+    const index = previousTurns.findLastIndex(turn => turn.text.toLowerCase() === input.toLowerCase());
+    if (index !== -1) {
+      const ago = previousTurns.length - index;
+      return this._respond('repeat', { text: input, ago: `${ago} message${ago === 1 ? '' : 's'}` });
     }
+
+    const { intent, slots, remember } = INTENT_ENGINE.match(this.personality, input);
+    remember.forEach(slot => {
+      if (slots[slot]) {
+        this.session.facts[slot] = slots[slot];
+      }
+    });
+
+    return this._respond(intent, { last: previousTurns.at(-1)?.text, ...slots });
   }
+}
+
+/**
+ * JSON-RPC 2.0 error codes
+ * @readonly
+ * @enum {number}
+ */
+const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  /** Server defined: too many calls on one stream */
+  LIMIT_EXCEEDED: -32000,
+};
 
+/**
+ * An error answered as a JSON-RPC error object
+ * @extends {Error}
+ */
+class RpcError extends Error {
   /**
-   * Get a random response from an array
-   * @param {string[]} responses - Array of possible responses
-   * @returns {string} Random response
-   * @private
+   * Creates an RpcError instance
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Short error description
+   * @param {*} [data] - Extra details
    */
-  _randomResponse(responses) {
-    return responses[Math.floor(Math.random() * responses.length)];
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'RpcError';
+    this.code = code;
+    this.data = data;
   }
 }
 
 /**
- * Validates and sanitizes request parameters
- * @param {Object} params - Raw parameters from request
- * @returns {Object} Validated parameters
+ * Reads a string parameter, optionally restricted to a list of values
+ * @param {Object} params - Named parameters
+ * @param {string} name - Parameter name
+ * @param {Object} [options={}] - Parameter options
+ * @param {string} [options.fallback] - Value when missing, the parameter is required without one
+ * @param {string[]} [options.values] - Allowed values
+ * @returns {string} Parameter value
+ * @throws {RpcError} INVALID_PARAMS for missing, non-string or disallowed values
  */
-const validateParams = params => {
-  return {
-    delay: Math.max(LIMITS.MIN_DELAY, Math.min(LIMITS.MAX_DELAY, parseInt(params.delay) || 100)),
-    uppercase: params.uppercase === 'true',
-    prefix: (params.prefix || '').substring(0, 20),
-    mode: ['reverse', 'rot13', 'base64', 'morse'].includes(params.mode) ? params.mode : 'reverse',
-    personality: ['friendly', 'sarcastic', 'helpful'].includes(params.personality) ? params.personality : 'friendly',
-  };
+const rpcString = (params, name, { fallback, values } = {}) => {
+  const value = params[name] ?? fallback;
+  if (typeof value !== 'string') {
+    throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'Invalid params', `"${name}" must be a string`);
+  }
+  if (values && !values.includes(value)) {
+    throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'Invalid params', `"${name}" must be one of: ${values.join(', ')}`);
+  }
+  return value;
 };
 
 /**
- * Fastify route handler for echo duplex stream
- * @async
- * @param {Object} request - Fastify request object
- * @param {Object} reply - Fastify reply object
- * @returns {Promise<Object>} Echo results
+ * Methods of the JSON-RPC server, reusing the operations of the transform and encrypt controllers.
+ * `params` lists the parameter names, in the order used for by-position calls.
+ * Handlers receive the named parameters and a context with an abort signal, and may be async.
+ * @type {Object<string, {params: string[], handler: Function}>}
  */
-const echoStream = async (request, reply) => {
-  const { delay, uppercase, prefix } = validateParams(request.query);
-
-  const echo = new EchoStream({ delay, uppercase, prefix });
-  const input = request.body || '';
-
-  return new Promise(resolve => {
-    const results = [];
-
-    echo.on('data', chunk => {
-      results.push(chunk.toString());
-    });
-
-    echo.on('end', () => {
-      const response = {
-        success: true,
-        message: 'Echo completed',
-        results: {
-          echoes: results,
-          stats: {
-            messageCount: echo.messageCount,
-            delay: echo.delay,
-            transformations: { uppercase, prefix },
-          },
-        },
-      };
-
-      reply.send(response);
-      resolve(response);
-    });
-
-    echo.write(input);
-    echo.end();
-  });
+const RPC_METHODS = {
+  'text.case': {
+    params: ['text', 'mode'],
+    handler: params =>
+      transformCase(
+        rpcString(params, 'text'),
+        rpcString(params, 'mode', { fallback: 'upper', values: ['upper', 'lower', 'title', 'camel', 'reverse'] }),
+      ),
+  },
+  'text.encode': {
+    params: ['text', 'encoding'],
+    handler: params =>
+      transformEncoding(
+        rpcString(params, 'text'),
+        rpcString(params, 'encoding', { fallback: 'base64', values: ['base64', 'hex', 'url', 'json'] }),
+        'encode',
+      ),
+  },
+  'text.decode': {
+    params: ['text', 'encoding'],
+    handler: params => {
+      const text = rpcString(params, 'text');
+      const encoding = rpcString(params, 'encoding', { fallback: 'base64', values: ['base64', 'hex', 'url', 'json'] });
+      try {
+        return transformEncoding(text, encoding, 'decode');
+      } catch (error) {
+        throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'Invalid params', `Cannot decode ${encoding}: ${error.message}`);
+      }
+    },
+  },
+  'crypto.hash': {
+    params: ['text', 'algorithm', 'outputFormat', 'salt'],
+    handler: params => {
+      const algorithm = rpcString(params, 'algorithm', { fallback: 'sha256' });
+      if (!crypto.getHashes().includes(algorithm)) {
+        throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'Invalid params', `Unsupported hash algorithm "${algorithm}"`);
+      }
+      const outputFormat = rpcString(params, 'outputFormat', {
+        fallback: 'hex',
+        values: ['hex', 'base64', 'base64url'],
+      });
+      const { hash } = computeHash(rpcString(params, 'text'), {
+        algorithm,
+        outputFormat,
+        salt: rpcString(params, 'salt', { fallback: '' }),
+      });
+      return { hash, algorithm, outputFormat };
+    },
+  },
+  'system.delay': {
+    params: ['ms', 'value'],
+    handler: async ({ ms = 0, value = null }, { signal }) => {
+      if (!Number.isInteger(ms) || ms < 0 || ms > LIMITS.MAX_DELAY) {
+        throw new RpcError(
+          RPC_ERRORS.INVALID_PARAMS,
+          'Invalid params',
+          `"ms" must be an integer 0-${LIMITS.MAX_DELAY}`,
+        );
+      }
+      return sleep(ms, value, { signal });
+    },
+  },
+  'system.listMethods': {
+    params: [],
+    handler: () => Object.keys(RPC_METHODS),
+  },
 };
 
 /**
- * Fastify route handler for transform duplex stream
- * @async
- * @param {Object} request - Fastify request object
- * @param {Object} reply - Fastify reply object
- * @returns {Promise<Object>} Transform results
+ * Codec for JSON-RPC streams: concatenated JSON texts in, one JSON text per line out
+ * @type {{name: string, encode: Function, createDecoder: Function}}
  */
-const transformStream = async (request, reply) => {
-  const { mode } = validateParams(request.query);
-
-  const transformer = new TransformStream({ mode });
-  const input = request.body || '';
-
-  return new Promise(resolve => {
-    const results = [];
-
-    transformer.on('data', chunk => {
-      results.push(chunk.toString());
-    });
-
-    transformer.on('end', () => {
-      const response = {
-        success: true,
-        message: 'Transform completed',
-        results: {
-          transformed: results,
-          stats: {
-            mode,
-            responseCount: transformer.responseCount,
-          },
-        },
-      };
-
-      reply.send(response);
-      resolve(response);
-    });
-
-    transformer.write(input);
-    transformer.end();
-  });
+const RPC_CODEC = {
+  name: 'json',
+  encode: message => Buffer.from(`${message.toString().trim()}\n`),
+  createDecoder: () => new JsonFrameDecoder(LIMITS.MAX_MESSAGE_SIZE),
 };
 
 /**
- * Fastify route handler for chatbot duplex stream
- * @async
- * @param {Object} request - Fastify request object
- * @param {Object} reply - Fastify reply object
- * @returns {Promise<Object>} Chat results
+ * Checks the shape of a JSON-RPC request
+ * @param {*} request - Parsed request
+ * @returns {boolean} True for objects with version 2.0, a method name, optional structured params and optional id
  */
-const chatBotStream = async (request, reply) => {
-  const { personality } = validateParams(request.query);
-
-  const chatBot = new ChatBotStream({ personality });
-  const input = request.body || '';
+const isRpcRequest = request =>
+  Boolean(request) &&
+  typeof request === 'object' &&
+  !Array.isArray(request) &&
+  request.jsonrpc === '2.0' &&
+  typeof request.method === 'string' &&
+  (!('id' in request) || request.id === null || ['string', 'number'].includes(typeof request.id)) &&
+  (request.params === undefined || (typeof request.params === 'object' && request.params !== null));
 
-  return new Promise(resolve => {
-    const results = [];
+/**
+ * Builds a JSON-RPC response
+ * @param {string|number|null} id - Request id
+ * @param {Object} outcome - { result } or { error: RpcError }
+ * @returns {Object} Response object
+ */
+const rpcResponse = (id, { result, error }) =>
+  error
+    ? {
+        jsonrpc: '2.0',
+        error: { code: error.code, message: error.message, ...(error.data !== undefined && { data: error.data }) },
+        id,
+      }
+    : { jsonrpc: '2.0', result: result ?? null, id };
 
-    chatBot.on('data', chunk => {
-      results.push(chunk.toString());
-    });
+/**
+ * A duplex stream serving JSON-RPC 2.0 over a stream of JSON requests
+ * Requests run as they are read, at most LIMITS.MAX_RPC_PENDING at once while the rest wait in order,
+ * and each response is written as soon as its request completes, so responses can come back out of order; clients match them by id. Batches are answered with one array
+ * once all of their calls are done, notifications (requests without an id) are never answered.
+ * @extends {MessageDuplex}
+ */
+class JsonRpcStream extends MessageDuplex {
+  /**
+   * Creates a JsonRpcStream instance
+   * @param {Object} [options={}] - Stream configuration options
+   * @param {Object} [options.methods=RPC_METHODS] - Methods by name
+   */
+  constructor(options = {}) {
+    super({ ...options, codec: RPC_CODEC });
+    this.methods = options.methods || RPC_METHODS;
+    this.pending = new Set();
+    this.queue = [];
+    this.heldWrite = null;
+    this.finishing = null;
+    this.inputBroken = false;
+    // Every running call listens for the abort
+    this.abortController = new AbortController();
+    setMaxListeners(LIMITS.MAX_RPC_CALLS, this.abortController.signal);
+    this.counts = { requests: 0, notifications: 0, batches: 0, errors: 0, maxPending: 0 };
+  }
 
-    chatBot.on('end', () => {
-      const response = {
-        success: true,
-        message: 'Chat completed',
-        results: {
-          conversation: results,
-          stats: {
-            personality,
-            messageCount: chatBot.conversationHistory.length,
-          },
-        },
-      };
+  /**
+   * Decodes requests, holding the write back until every decoded request has started
+   * @param {Buffer|string} chunk - Data chunk to write
+   * @param {string} encoding - Text encoding if chunk is string
+   * @param {Function} callback - Callback to call when write is complete
+   * @private
+   */
+  _write(chunk, encoding, callback) {
+    if (this.inputBroken) {
+      return callback();
+    }
 
-      reply.send(response);
-      resolve(response);
+    super._write(chunk, encoding, error => {
+      if (error) {
+        this._inputFailed(error);
+      }
+      if (this.queue.length) {
+        this.heldWrite = callback;
+        return;
+      }
+      callback();
     });
+  }
 
-    chatBot.write(input);
-    chatBot.end();
+  /**
+   * Called when no more data will be written
+   * @param {Function} callback - Callback to call when finalization is complete
+   * @private
+   */
+  _final(callback) {
+    if (this.inputBroken) {
+      return this._onEnd(callback);
+    }
+
+    super._final(error => {
+      if (error) {
+        this._inputFailed(error);
+        return this._onEnd(callback);
+      }
+      callback();
+    });
+  }
+
+  /**
+   * Answers unreadable input with a parse error and ignores the rest, as the stream cannot be resynchronized
+   * @param {Error} error - Framing error
+   * @private
+   */
+  _inputFailed(error) {
+    this.inputBroken = true;
+    this.counts.errors++;
+    this._send(
+      JSON.stringify(rpcResponse(null, { error: new RpcError(RPC_ERRORS.PARSE_ERROR, 'Parse error', error.message) })),
+    );
+  }
+
+  /**
+   * Sends a response unless the stream is gone
+   * @param {string} message - Response JSON
+   * @protected
+   */
+  _send(message) {
+    if (!this.destroyed) {
+      super._send(message);
+    }
+  }
+
+  /**
+   * Queues a request or batch, starting it right away unless too many are running
+   * @param {Buffer} message - Request JSON
+   * @protected
+   */
+  _onMessage(message) {
+    this.queue.push(message);
+    this._startQueued();
+  }
+
+  /**
+   * Starts queued requests while fewer than LIMITS.MAX_RPC_PENDING are running
+   * @private
+   */
+  _startQueued() {
+    while (this.queue.length && this.pending.size < LIMITS.MAX_RPC_PENDING) {
+      this._start(this.queue.shift());
+    }
+  }
+
+  /**
+   * Starts the calls of one request or batch
+   * @param {Buffer} message - Request JSON
+   * @private
+   */
+  _start(message) {
+    let request;
+    try {
+      request = JSON.parse(message.toString());
+    } catch (error) {
+      this.counts.errors++;
+      return this._send(
+        JSON.stringify(
+          rpcResponse(null, { error: new RpcError(RPC_ERRORS.PARSE_ERROR, 'Parse error', error.message) }),
+        ),
+      );
+    }
+
+    if (!Array.isArray(request)) {
+      return this._track(this._call(request).then(response => response && this._send(JSON.stringify(response))));
+    }
+
+    this.counts.batches++;
+    if (!request.length || request.length > LIMITS.MAX_RPC_BATCH) {
+      this.counts.errors++;
+      const error = new RpcError(
+        RPC_ERRORS.INVALID_REQUEST,
+        'Invalid Request',
+        `Batches need 1-${LIMITS.MAX_RPC_BATCH} requests`,
+      );
+      return this._send(JSON.stringify(rpcResponse(null, { error })));
+    }
+
+    this._track(
+      Promise.all(request.map(item => this._call(item))).then(responses => {
+        const answered = responses.filter(Boolean);
+        if (answered.length) {
+          this._send(JSON.stringify(answered));
+        }
+      }),
+    );
+  }
+
+  /**
+   * Validates and runs one call
+   * @param {*} request - Request object
+   * @returns {Promise<Object|null>} Response, null for notifications
+   * @private
+   */
+  async _call(request) {
+    // Only well-formed requests can be notifications, malformed ones are always answered with a null id
+    const valid = isRpcRequest(request);
+    const notification = valid && !('id' in request);
+
+    let outcome;
+    try {
+      if (!valid) {
+        throw new RpcError(RPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+      }
+      const { method, params } = this._resolve(request);
+      outcome = { result: await method.handler(params, { signal: this.abortController.signal }) };
+    } catch (error) {
+      this.counts.errors++;
+      outcome = {
+        error:
+          error instanceof RpcError ? error : new RpcError(RPC_ERRORS.INTERNAL_ERROR, 'Internal error', error.message),
+      };
+    }
+
+    return notification ? null : rpcResponse(valid ? request.id : null, outcome);
+  }
+
+  /**
+   * Counts a call and resolves its method and named parameters
+   * @param {Object} request - Well-formed request object
+   * @returns {{method: Object, params: Object}} Method and named parameters
+   * @throws {RpcError} For unknown methods, bad params or too many calls
+   * @private
+   */
+  _resolve(request) {
+    if ('id' in request) {
+      this.counts.requests++;
+    } else {
+      this.counts.notifications++;
+    }
+    if (this.counts.requests + this.counts.notifications > LIMITS.MAX_RPC_CALLS) {
+      throw new RpcError(RPC_ERRORS.LIMIT_EXCEEDED, `At most ${LIMITS.MAX_RPC_CALLS} calls per stream`);
+    }
+
+    if (!Object.hasOwn(this.methods, request.method)) {
+      throw new RpcError(RPC_ERRORS.METHOD_NOT_FOUND, 'Method not found', request.method);
+    }
+    const method = this.methods[request.method];
+
+    const params = request.params ?? {};
+    if (Array.isArray(params)) {
+      if (params.length > method.params.length) {
+        throw new RpcError(
+          RPC_ERRORS.INVALID_PARAMS,
+          'Invalid params',
+          `Expected at most ${method.params.length} params`,
+        );
+      }
+      return { method, params: Object.fromEntries(params.map((value, index) => [method.params[index], value])) };
+    }
+
+    const unknown = Object.keys(params).filter(name => !method.params.includes(name));
+    if (unknown.length) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'Invalid params', `Unknown params: ${unknown.join(', ')}`);
+    }
+    return { method, params };
+  }
+
+  /**
+   * Tracks a running request or batch, starting queued ones and releasing held input and the end of the stream
+   * as calls complete
+   * @param {Promise<void>} call - Request or batch promise
+   * @private
+   */
+  _track(call) {
+    this.pending.add(call);
+    this.counts.maxPending = Math.max(this.counts.maxPending, this.pending.size);
+
+    call.finally(() => {
+      this.pending.delete(call);
+      this._startQueued();
+
+      if (this.heldWrite && !this.queue.length) {
+        const callback = this.heldWrite;
+        this.heldWrite = null;
+        callback();
+      }
+      if (this.finishing && !this.pending.size && !this.queue.length) {
+        this.finishing();
+      }
+    });
+  }
+
+  /**
+   * Ends once every running call has answered
+   * @param {Function} callback - Callback to call when finalization is complete
+   * @protected
+   */
+  _onEnd(callback) {
+    this.finishing = () => {
+      this.push(null);
+      callback();
+    };
+    if (!this.pending.size && !this.queue.length) {
+      this.finishing();
+    }
+  }
+
+  /**
+   * Cancels running calls when the stream is destroyed
+   * @param {Error|null} err - Error that caused destruction, if any
+   * @param {Function} callback - Callback to call when cleanup is complete
+   * @private
+   */
+  _destroy(err, callback) {
+    this.queue = [];
+    this.abortController.abort();
+    callback(err);
+  }
+}
+
+/**
+ * Records when request bytes are read and response bytes are written,
+ * to show how much of the upload and the download happened at the same time
+ */
+class DuplexTimingTracker {
+  /**
+   * Creates a DuplexTimingTracker instance
+   */
+  constructor() {
+    this.startTime = Date.now();
+    this.reads = { count: 0, bytes: 0, first: null, last: null };
+    this.writes = { count: 0, bytes: 0, first: null, last: null };
+    this.inputEndedAt = null;
+    this.writesBeforeInputEnd = 0;
+  }
+
+  /**
+   * Records a chunk read from the request
+   * @param {number} bytes - Chunk size
+   */
+  read(bytes) {
+    this._record(this.reads, bytes);
+  }
+
+  /**
+   * Records a frame written to the response
+   * @param {number} bytes - Frame size
+   */
+  write(bytes) {
+    this._record(this.writes, bytes);
+    if (this.inputEndedAt === null) {
+      this.writesBeforeInputEnd++;
+    }
+  }
+
+  /**
+   * Records the end of the request body
+   */
+  endInput() {
+    this.inputEndedAt = Date.now() - this.startTime;
+  }
+
+  /**
+   * Adds a read or write to its counters
+   * @param {Object} side - Read or write counters
+   * @param {number} bytes - Chunk size
+   * @private
+   */
+  _record(side, bytes) {
+    const now = Date.now() - this.startTime;
+    side.count++;
+    side.bytes += bytes;
+    side.first ??= now;
+    side.last = now;
+  }
+
+  /**
+   * Gets the timing statistics, all times in ms since the request started
+   * @returns {Object} Read and write windows and how long they overlapped
+   */
+  getStats() {
+    const { reads, writes } = this;
+    const overlap =
+      reads.count && writes.count
+        ? Math.max(0, Math.min(reads.last, writes.last) - Math.max(reads.first, writes.first))
+        : 0;
+
+    return {
+      reads: { ...reads },
+      writes: { ...writes },
+      inputEndedAt: this.inputEndedAt,
+      writesBeforeInputEnd: this.writesBeforeInputEnd,
+      overlapMs: overlap,
+      duration: Date.now() - this.startTime,
+    };
+  }
+}
+
+/**
+ * Builds the data fields of an output frame. Payloads that are not valid UTF-8 are sent as base64
+ * with `encoding: "base64"`, so binary messages survive the JSON frame.
+ * @param {Buffer} message - Decoded duplex output
+ * @returns {{data: string, encoding?: string}} Frame fields
+ */
+const outputData = message =>
+  isUtf8(message) ? { data: message.toString() } : { data: message.toString('base64'), encoding: 'base64' };
+
+/**
+ * A transform stream that turns duplex output lines into NDJSON frames
+ * and appends a final frame with the stream and timing stats
+ * @extends {Transform}
+ */
+class FrameEncoderStream extends Transform {
+  /**
+   * Creates a FrameEncoderStream instance
+   * @param {Object} options - Stream configuration options
+   * @param {Object} options.decoder - Framing decoder splitting the duplex output into messages
+   * @param {DuplexTimingTracker} options.tracker - Tracker recording every written frame
+   * @param {Function} options.getStats - Returns the stats for the final frame
+   */
+  constructor(options) {
+    super();
+    this.decoder = options.decoder;
+    this.tracker = options.tracker;
+    this.getStats = options.getStats;
+    this.sequence = 0;
+    this.failed = false;
+  }
+
+  /**
+   * Pushes one NDJSON frame and records it as written
+   * @param {Object} frame - Frame to send
+   * @private
+   */
+  _pushFrame(frame) {
+    const data = `${JSON.stringify(frame)}\n`;
+    this.tracker.write(Buffer.byteLength(data));
+    this.push(data);
+  }
+
+  /**
+   * Pushes an output frame per decoded message
+   * @param {Buffer[]} messages - Decoded duplex output
+   * @private
+   */
+  _pushMessages(messages) {
+    messages.forEach(message => {
+      this._pushFrame({
+        type: 'output',
+        sequence: ++this.sequence,
+        ...outputData(message),
+        at: Date.now() - this.tracker.startTime,
+      });
+    });
+  }
+
+  /**
+   * Internal method to frame complete output messages
+   * @param {Buffer|string} chunk - Duplex output chunk
+   * @param {string} encoding - Text encoding if chunk is string
+   * @param {Function} callback - Callback to call when the chunk is framed
+   * @private
+   */
+  _transform(chunk, encoding, callback) {
+    const { messages, error } = this.decoder.push(chunk);
+    this._pushMessages(messages);
+    callback(error);
+  }
+
+  /**
+   * Frames any remaining output and appends the stats frame
+   * @param {Function} callback - Callback to call when flushing is complete
+   * @private
+   */
+  _flush(callback) {
+    const { messages, error } = this.decoder.end();
+    this._pushMessages(messages);
+    if (error) {
+      return callback(error);
+    }
+    this._pushFrame({ type: 'end', stats: this.getStats() });
+    callback();
+  }
+
+  /**
+   * Ends the response with an error frame instead of cutting it off
+   * @param {Error} error - Error raised upstream
+   */
+  fail(error) {
+    if (this.failed || this.writableEnded) {
+      return;
+    }
+    this.failed = true;
+    this._pushFrame({ type: 'error', message: error.message });
+    this.push(null);
+  }
+}
+
+/**
+ * Creates an empty chat session
+ * @param {string} [id] - Session id, a random UUID when missing
+ * @returns {Object} Session with turns and remembered facts
+ */
+const createChatSession = (id = crypto.randomUUID()) => {
+  const now = new Date().toISOString();
+  return { id, personality: 'friendly', createdAt: now, updatedAt: now, turns: [], facts: {} };
+};
+
+/**
+ * Validates a client-supplied chat session id
+ * @param {string} id - Session id
+ * @returns {string} The same id
+ * @throws {CustomError} 400 when the id is not 1-64 letters, digits, dashes or underscores
+ */
+const validateSessionId = id => {
+  if (typeof id !== 'string' || id.length > LIMITS.MAX_SESSION_ID_LENGTH || !/^[\w-]+$/.test(id)) {
+    throw new CustomError(
+      `Session id must be 1-${LIMITS.MAX_SESSION_ID_LENGTH} letters, digits, dashes or underscores`,
+      400,
+    );
+  }
+  return id;
+};
+
+/**
+ * Loads a chat session from the store and marks it open, starting a new one for unknown or missing ids.
+ * The session stays open until {@link closeChatSession} is called.
+ * @async
+ * @param {string} [sessionId] - Session id from the request
+ * @returns {Promise<Object>} Session
+ * @throws {CustomError} 400 for malformed ids, 409 when another stream has the session open
+ */
+const openChatSession = async sessionId => {
+  const id = sessionId === undefined || sessionId === '' ? crypto.randomUUID() : validateSessionId(sessionId);
+  if (OPEN_SESSIONS.has(id)) {
+    throw new CustomError(`Chat session "${id}" is already open in another stream`, 409);
+  }
+
+  OPEN_SESSIONS.add(id);
+  try {
+    return (await SESSION_STORE.get(id)) ?? createChatSession(id);
+  } catch (error) {
+    OPEN_SESSIONS.delete(id);
+    throw error;
+  }
+};
+
+/**
+ * Saves a chat session and releases it for other streams
+ * @async
+ * @param {Object} session - Session opened with {@link openChatSession}
+ * @returns {Promise<void>}
+ */
+const closeChatSession = async session => {
+  try {
+    await SESSION_STORE.set(session);
+  } finally {
+    OPEN_SESSIONS.delete(session.id);
+  }
+};
+
+/**
+ * Validates and sanitizes request parameters
+ * @param {Object} params - Raw parameters from request
+ * @returns {Object} Validated parameters
+ */
+const validateParams = params => {
+  if (params.framing !== undefined && !FRAMINGS.includes(params.framing)) {
+    throw new CustomError(`Unknown framing. Use one of: ${FRAMINGS.join(', ')}`, 400);
+  }
+
+  return {
+    delay: Math.max(LIMITS.MIN_DELAY, Math.min(LIMITS.MAX_DELAY, parseInt(params.delay) || 100)),
+    uppercase: params.uppercase === 'true',
+    prefix: (params.prefix || '').substring(0, 20),
+    mode: ['reverse', 'rot13', 'base64', 'morse'].includes(params.mode) ? params.mode : 'reverse',
+    personality: INTENT_ENGINE.hasPersonality(params.personality) ? params.personality : 'friendly',
+    seed: params.seed,
+    framing: params.framing || 'newline',
+  };
+};
+
+/**
+ * Writes a request body into a message duplex and collects its decoded responses.
+ * Responses are returned as UTF-8 text, binary output needs the full-duplex route or the WebSocket.
+ * @async
+ * @param {MessageDuplex} duplex - Duplex stream
+ * @param {string|Buffer} input - Request body
+ * @returns {Promise<string[]>} Responses in order
+ * @throws {CustomError} 400 when the stream fails, e.g. on malformed frames or too many messages
+ */
+const exchangeMessages = (duplex, input) => {
+  const decoder = duplex.codec.createDecoder();
+  const results = [];
+
+  return new Promise((resolve, reject) => {
+    duplex.on('data', chunk => {
+      const { messages, error } = decoder.push(chunk);
+      results.push(...messages.map(String));
+      if (error) {
+        duplex.destroy(error);
+      }
+    });
+    duplex.on('end', () => resolve(results));
+    duplex.on('error', error => reject(new CustomError(error.message, 400)));
+
+    duplex.end(input);
+  });
+};
+
+/**
+ * Fastify route handler for echo duplex stream
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Echo results
+ */
+const echoStream = async (request, reply) => {
+  const { delay, uppercase, prefix, framing } = validateParams(request.query);
+
+  const echo = new EchoStream({ delay, uppercase, prefix, framing });
+  const results = await exchangeMessages(echo, request.body || '');
+
+  return reply.send({
+    success: true,
+    message: 'Echo completed',
+    results: {
+      echoes: results,
+      stats: {
+        messageCount: echo.messageCount,
+        delay: echo.delay,
+        framing: echo.codec.name,
+        transformations: { uppercase, prefix },
+      },
+    },
+  });
+};
+
+/**
+ * Fastify route handler for transform duplex stream
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Transform results
+ */
+const transformStream = async (request, reply) => {
+  const { mode, framing } = validateParams(request.query);
+
+  const transformer = new TransformStream({ mode, framing });
+  const results = await exchangeMessages(transformer, request.body || '');
+
+  return reply.send({
+    success: true,
+    message: 'Transform completed',
+    results: {
+      transformed: results,
+      stats: {
+        mode,
+        framing: transformer.codec.name,
+        responseCount: transformer.responseCount,
+      },
+    },
+  });
+};
+
+/**
+ * Fastify route handler for chatbot duplex stream
+ * Pass a sessionId to continue an earlier conversation, the reply always contains the session id to use next.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {string} [request.query.sessionId] - Session to continue, a new session when missing
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Chat results
+ */
+const chatBotStream = async (request, reply) => {
+  const chatBot = await createDuplexStream('chatbot', request);
+  let results;
+  try {
+    results = await exchangeMessages(chatBot, request.body || '');
+  } catch (error) {
+    // Releases the session without saving it
+    chatBot.destroy();
+    throw error;
+  }
+
+  await DUPLEX_STREAMS.chatbot.finish(chatBot);
+
+  return reply.send({
+    success: true,
+    message: 'Chat completed',
+    results: {
+      conversation: results,
+      stats: DUPLEX_STREAMS.chatbot.stats(chatBot),
+    },
+  });
+};
+
+/**
+ * Gets a short summary of a chat session
+ * @param {Object} session - Chat session
+ * @returns {Object} Session without its turns
+ */
+const summarizeSession = ({ turns, ...session }) => ({
+  ...session,
+  turnCount: turns.length,
+  lastMessage: turns.findLast(turn => turn.role === 'user')?.text ?? null,
+});
+
+/**
+ * Fastify route handler listing the stored chat sessions, most recently updated first
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Session summaries
+ */
+const listChatSessions = async (request, reply) => {
+  const sessions = (await SESSION_STORE.list())
+    .map(summarizeSession)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+  return reply.send({
+    success: true,
+    message: `Found ${sessions.length} chat sessions`,
+    results: { sessions, store: SESSION_STORE.constructor.name },
+  });
+};
+
+/**
+ * Fastify route handler downloading a chat session as JSON
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {string} request.params.id - Session id
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Full session with every turn
+ * @throws {CustomError} 400 for malformed ids, 404 for unknown sessions
+ */
+const exportChatSession = async (request, reply) => {
+  const session = await SESSION_STORE.get(validateSessionId(request.params.id));
+  if (!session) {
+    throw new CustomError('Chat session not found', 404);
+  }
+
+  reply.header('Content-Disposition', `attachment; filename="chat-session-${session.id}.json"`);
+  return reply.send(session);
+};
+
+/**
+ * Fastify route handler deleting a chat session
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {string} request.params.id - Session id
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Deletion result
+ * @throws {CustomError} 400 for malformed ids, 404 for unknown sessions, 409 for sessions with an open stream
+ */
+const deleteChatSession = async (request, reply) => {
+  const { id } = request.params;
+  if (OPEN_SESSIONS.has(validateSessionId(id))) {
+    throw new CustomError(`Chat session "${id}" is open in a stream`, 409);
+  }
+  if (!(await SESSION_STORE.delete(id))) {
+    throw new CustomError('Chat session not found', 404);
+  }
+
+  return reply.send({
+    success: true,
+    message: 'Chat session deleted',
+    results: { sessionId: id },
+  });
+};
+
+/**
+ * Fastify route handler listing the chat bot personalities
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Personality summaries
+ */
+const listPersonalities = async (request, reply) => {
+  const personalities = INTENT_ENGINE.listPersonalities();
+
+  return reply.send({
+    success: true,
+    message: `Found ${personalities.length} personalities`,
+    results: { personalities },
+  });
+};
+
+/**
+ * Fastify route handler loading a chat bot personality from a JSON definition.
+ * Posting a name again replaces that custom personality; built-in ones cannot be replaced.
+ * The route is guarded by the adminAuth middleware and needs `Authorization: Bearer <ADMIN_TOKEN>`.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} request.body - Personality definition, see IntentEngine#addPersonality
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Loaded personality summary
+ * @throws {CustomError} 400 for invalid definitions, 409 for built-in names or too many personalities
+ * @example
+ * // POST /api/v1/duplex/admin/personalities
+ * // Authorization: Bearer <ADMIN_TOKEN>
+ * // {
+ * //   "name": "pirate",
+ * //   "intents": [{ "name": "treasure", "patterns": [{ "regex": "where is the (?<item>\\w+)", "flags": "i" }] }],
+ * //   "responses": { "greeting": ["Ahoy, {name}!", "Ahoy!"], "treasure": ["The {item} be buried."], "fallback": ["Arr?"] }
+ * // }
+ */
+const addPersonality = async (request, reply) => {
+  const personality = INTENT_ENGINE.addPersonality(request.body);
+
+  return reply.code(201).send({
+    success: true,
+    message: `Personality "${personality.name}" loaded`,
+    results: { personality },
   });
 };
 
@@ -561,9 +1517,337 @@ const bidirectionalStream = async (request, reply) => {
   });
 };
 
+/**
+ * Duplex streams reachable over WebSocket and the full-duplex route, with the stats reported when they end
+ * @type {Object<string, {create: Function, stats: Function}>}
+ */
+const DUPLEX_STREAMS = {
+  echo: {
+    create: ({ delay, uppercase, prefix, framing }) => new EchoStream({ delay, uppercase, prefix, framing }),
+    stats: stream => ({ messageCount: stream.messageCount, delay: stream.delay, framing: stream.codec.name }),
+  },
+  transform: {
+    create: ({ mode, framing }) => new TransformStream({ mode, framing }),
+    stats: stream => ({ mode: stream.mode, responseCount: stream.responseCount, framing: stream.codec.name }),
+  },
+  rpc: {
+    create: () => new JsonRpcStream(),
+    stats: stream => ({ ...stream.counts }),
+  },
+  chatbot: {
+    // Continue the requested session, keeping its personality unless another one is asked for
+    prepare: async (request, params) => {
+      const session = await openChatSession(request.query.sessionId);
+      const keep = !request.query.personality && INTENT_ENGINE.hasPersonality(session.personality);
+      return { session, personality: keep ? session.personality : params.personality };
+    },
+    create: ({ personality, session, seed, framing }) => {
+      const stream = new ChatBotStream({ personality, session, seed, framing });
+      // Streams that end are released by finish once saved, destroyed ones are released unsaved
+      stream.once('close', () => stream.readableEnded || OPEN_SESSIONS.delete(session.id));
+      return stream;
+    },
+    finish: stream => closeChatSession(stream.session),
+    stats: stream => ({
+      personality: stream.personality,
+      messageCount: stream.conversationHistory.length,
+      sessionId: stream.session.id,
+      turnCount: stream.session.turns.length,
+      seed: stream.seed,
+      intents: stream.intentCounts,
+      framing: stream.codec.name,
+    }),
+  },
+};
+
+/**
+ * Creates a duplex stream from the request query, running the stream's async preparation first
+ * @async
+ * @param {string} type - Duplex stream type
+ * @param {Object} request - Fastify request object
+ * @returns {Promise<Duplex>} Duplex stream
+ */
+const createDuplexStream = async (type, request) => {
+  const { prepare, create } = DUPLEX_STREAMS[type];
+  const params = validateParams(request.query);
+  return create({ ...params, ...(prepare && (await prepare(request, params))) });
+};
+
+/**
+ * Runs the stream's cleanup (e.g. saving the chat session) once it has ended
+ * @async
+ * @param {string} type - Duplex stream type
+ * @param {Duplex} duplex - Ended duplex stream
+ * @param {Object} request - Fastify request object, for logging
+ * @returns {Promise<void>}
+ */
+const finishDuplexStream = async (type, duplex, request) => {
+  try {
+    await DUPLEX_STREAMS[type].finish?.(duplex);
+  } catch (error) {
+    request.log.error(error, `Failed to finish ${type} stream`);
+  }
+};
+
+/**
+ * Fastify route handler streaming a duplex stream over one HTTP request
+ * Each request body chunk is written into the duplex as it arrives and its output is sent straight back
+ * as NDJSON frames, so reading and writing overlap. Over HTTP/2 (see the h2c server) both directions
+ * are truly concurrent; over HTTP/1.1 the response is chunked while the upload is still running.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Readable} request.body - Raw request stream, one message per line
+ * @param {string} [request.query.stream='transform'] - Duplex stream type (echo, transform, chatbot, rpc)
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<void>}
+ * @throws {CustomError} 400 for unknown stream types
+ * @example
+ * // curl --http2-prior-knowledge -X POST -T - http://127.0.0.1:5002/api/v1/duplex/full?stream=transform&mode=rot13
+ * // {"type":"output","sequence":1,"data":"uryyb","at":3}
+ * // {"type":"end","stats":{"httpVersion":"2.0","timing":{...,"overlapMs":2140}}}
+ */
+const fullDuplexStream = async (request, reply) => {
+  const { stream: type = 'transform' } = request.query;
+  if (!Object.hasOwn(DUPLEX_STREAMS, type)) {
+    throw new CustomError(`Unknown duplex stream. Use one of: ${Object.keys(DUPLEX_STREAMS).join(', ')}`, 400);
+  }
+
+  const duplex = await createDuplexStream(type, request);
+  const input = request.body ?? Readable.from([]);
+  const tracker = new DuplexTimingTracker();
+
+  const reader = new Transform({
+    transform(chunk, encoding, callback) {
+      tracker.read(chunk.length);
+      callback(null, chunk);
+    },
+    flush(callback) {
+      tracker.endInput();
+      callback();
+    },
+  });
+
+  const frames = new FrameEncoderStream({
+    decoder: duplex.codec.createDecoder(),
+    tracker,
+    getStats: () => ({
+      stream: type,
+      httpVersion: request.raw.httpVersion,
+      ...DUPLEX_STREAMS[type].stats(duplex),
+      timing: tracker.getStats(),
+    }),
+  });
+
+  [input, reader, duplex].forEach(stream => stream.on('error', error => frames.fail(error)));
+  request.raw.on('close', () => {
+    if (!input.readableEnded) {
+      duplex.destroy();
+    }
+  });
+
+  duplex.on('end', () => finishDuplexStream(type, duplex, request));
+
+  input.pipe(reader).pipe(duplex).pipe(frames);
+
+  reply.header('Content-Type', 'application/x-ndjson');
+  return reply.send(frames);
+};
+
+/**
+ * Serves JSON-RPC 2.0 over the raw request stream
+ * Requests are read while the body is still uploading and each response line is written as soon as its call completes,
+ * so responses can arrive out of order. Batches get one array response, notifications get none.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Readable} request.body - Raw request stream of JSON-RPC requests or batches
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<void>}
+ * @example
+ * // curl -X POST -T - http://127.0.0.1:5001/api/v1/duplex/rpc
+ * // > {"jsonrpc":"2.0","method":"system.delay","params":{"ms":500,"value":"slow"},"id":1}
+ * // > {"jsonrpc":"2.0","method":"text.case","params":["hello","upper"],"id":2}
+ * // {"jsonrpc":"2.0","result":"HELLO","id":2}
+ * // {"jsonrpc":"2.0","result":"slow","id":1}
+ */
+const jsonRpcStream = async (request, reply) => {
+  const input = request.body ?? Readable.from([]);
+  const rpc = new JsonRpcStream();
+
+  input.on('error', error => rpc.destroy(error));
+  request.raw.on('close', () => {
+    if (!input.readableEnded) {
+      rpc.destroy();
+    }
+  });
+
+  input.pipe(rpc);
+
+  reply.header('Content-Type', 'application/x-ndjson');
+  return reply.send(rpc);
+};
+
+/**
+ * Reads a client WebSocket frame. JSON frames with a type are control frames
+ * ({ "type": "message", "data": "..." } or { "type": "end" }), anything else is a plain message.
+ * @param {string} text - Frame payload
+ * @returns {{type: string, data?: string}} Parsed frame
+ */
+const parseClientFrame = text => {
+  try {
+    const frame = JSON.parse(text);
+    if (frame && (frame.type === 'end' || (frame.type === 'message' && typeof frame.data === 'string'))) {
+      return frame;
+    }
+  } catch {
+    // Not JSON, a plain text message
+  }
+  return { type: 'message', data: text };
+};
+
+/**
+ * Fastify preValidation hook creating the duplex stream before the upgrade,
+ * so unknown stream types and bad parameters are rejected with a plain HTTP error
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {string} request.params.stream - Duplex stream type
+ * @returns {Promise<void>}
+ * @throws {CustomError} 404 for unknown stream types
+ */
+const prepareSocketStream = async request => {
+  if (!Object.hasOwn(DUPLEX_STREAMS, request.params.stream)) {
+    throw new CustomError(`Unknown duplex stream. Use one of: ${Object.keys(DUPLEX_STREAMS).join(', ')}`, 404);
+  }
+  // Plain HTTP requests get a 404 from the route, only upgrades get a stream and hold its chat session
+  if (!request.ws) {
+    return;
+  }
+
+  const duplex = await createDuplexStream(request.params.stream, request);
+  // Releases the stream when the handshake fails and duplexSocket never takes it over
+  request.raw.socket?.once('close', () => duplex.destroy());
+  request.duplex = duplex;
+};
+
+/**
+ * Fastify WebSocket handler connecting a socket to a duplex stream
+ * Every client message is written into the duplex, every line it pushes is sent back as its own frame.
+ * Binary client frames are written as they are; output that is not UTF-8 comes back base64-encoded.
+ * Backpressure works both ways: the socket stops reading while the duplex is full,
+ * and the duplex output pauses while too many bytes wait in the socket buffer.
+ * @param {WebSocket} socket - WebSocket connection
+ * @param {Object} request - Fastify request object
+ * @param {string} request.params.stream - Duplex stream type (echo, transform, chatbot, rpc)
+ * @param {Duplex} request.duplex - Stream created by prepareSocketStream from the query
+ * @example
+ * // ws://localhost:3000/api/v1/duplex/ws/transform?mode=rot13
+ * // -> "hello"             <- {"type":"output","data":"uryyb"}
+ * // -> {"type":"end"}      <- {"type":"end","stats":{...}}
+ */
+const duplexSocket = (socket, request) => {
+  const { stream: type } = request.params;
+  const { duplex } = request;
+  const stats = {
+    framesIn: 0,
+    framesOut: 0,
+    bytesIn: 0,
+    bytesOut: 0,
+    inputPauses: 0,
+    outputPauses: 0,
+    startTime: Date.now(),
+  };
+
+  const send = frame => {
+    if (socket.readyState !== socket.OPEN) {
+      return;
+    }
+
+    socket.send(JSON.stringify(frame), () => {
+      if (duplex.isPaused() && socket.bufferedAmount < LIMITS.SOCKET_BUFFER_LOW) {
+        duplex.resume();
+      }
+    });
+  };
+
+  // WebSocket frames already delimit messages, so the duplex framing only lives between socket and stream
+  const decoder = duplex.codec.createDecoder();
+
+  duplex.on('data', chunk => {
+    const { messages, error } = decoder.push(chunk);
+    for (const message of messages) {
+      stats.framesOut++;
+      stats.bytesOut += message.length;
+      send({ type: 'output', ...outputData(message) });
+    }
+    if (error) {
+      return duplex.destroy(error);
+    }
+
+    if (socket.bufferedAmount > LIMITS.SOCKET_BUFFER_HIGH) {
+      stats.outputPauses++;
+      duplex.pause();
+    }
+  });
+
+  duplex.on('end', async () => {
+    await finishDuplexStream(type, duplex, request);
+    send({
+      type: 'end',
+      stats: { ...DUPLEX_STREAMS[type].stats(duplex), ...stats, duration: Date.now() - stats.startTime },
+    });
+    socket.close(1000, 'Stream ended');
+  });
+
+  duplex.on('error', error => {
+    // A failed duplex never drains, the socket has to read again to complete the close handshake
+    socket.resume();
+    send({ type: 'error', message: error.message });
+    socket.close(1011, 'Stream failed');
+  });
+
+  socket.on('message', (message, isBinary) => {
+    // Binary frames are raw message bytes, text frames may also be control frames
+    const frame = isBinary ? { type: 'message', data: message } : parseClientFrame(message.toString());
+
+    if (frame.type === 'end') {
+      return duplex.end();
+    }
+
+    if (duplex.writableEnded) {
+      return send({ type: 'error', message: 'Input already ended' });
+    }
+
+    const size = Buffer.byteLength(frame.data);
+    if (size > LIMITS.MAX_MESSAGE_SIZE) {
+      return send({ type: 'error', message: `Message exceeds ${LIMITS.MAX_MESSAGE_SIZE} bytes` });
+    }
+
+    stats.framesIn++;
+    stats.bytesIn += size;
+
+    // Frames already read keep arriving after pause(), they wait for the same drain
+    if (!duplex.write(duplex.codec.encode(frame.data)) && !socket.isPaused) {
+      stats.inputPauses++;
+      socket.pause();
+      duplex.once('drain', () => socket.resume());
+    }
+  });
+
+  socket.on('close', () => duplex.destroy());
+  socket.on('error', () => duplex.destroy());
+};
+
 module.exports = {
   echoStream,
   transformStream,
   chatBotStream,
   bidirectionalStream,
+  fullDuplexStream,
+  jsonRpcStream,
+  listChatSessions,
+  exportChatSession,
+  deleteChatSession,
+  listPersonalities,
+  addPersonality,
+  prepareSocketStream,
+  duplexSocket,
 };
@@ -14,6 +14,37 @@ const LIMITS = {
   MAX_IV_LENGTH: 64,
 };
 
+/**
+ * Hashes an input, optionally salted. PBKDF2 generates a random salt when none is given.
+ * @param {string|Buffer} input - Data to hash
+ * @param {Object} options - Hash options
+ * @param {string} options.algorithm - Hash algorithm from crypto.getHashes(), or pbkdf2
+ * @param {string} options.outputFormat - Digest encoding (hex, base64, ...)
+ * @param {string} [options.salt=''] - Salt prepended to the input
+ * @param {number} [options.iterations=1] - PBKDF2 iterations
+ * @returns {{hash: string, salt: string}} Digest and the salt used
+ */
+const computeHash = (input, { algorithm, outputFormat, salt = '', iterations = 1 }) => {
+  if (algorithm === 'pbkdf2') {
+    // PBKDF2 key derivation
+    const finalSalt = salt || crypto.randomBytes(16).toString('hex');
+    return {
+      hash: crypto.pbkdf2Sync(input, finalSalt, iterations, 32, 'sha256').toString(outputFormat),
+      salt: finalSalt,
+    };
+  }
+
+  // Regular hash
+  const hasher = crypto.createHash(algorithm);
+
+  if (salt) {
+    hasher.update(salt);
+  }
+
+  hasher.update(input);
+  return { hash: hasher.digest(outputFormat), salt };
+};
+
 /**
  * AES encryption
  * @async
@@ -228,26 +259,12 @@ The resulting hash can be used to verify data integrity.`;
       });
     }
 
-    let hash;
-    let finalSalt = salt;
-
-    if (algorithm === 'pbkdf2') {
-      // PBKDF2 key derivation
-      if (!salt) {
-        finalSalt = crypto.randomBytes(16).toString('hex');
-      }
-      hash = crypto.pbkdf2Sync(input, finalSalt, iterationCount, 32, 'sha256').toString(outputFormat);
-    } else {
-      // Regular hash
-      const hasher = crypto.createHash(algorithm);
-
-      if (salt) {
-        hasher.update(salt);
-      }
-
-      hasher.update(input);
-      hash = hasher.digest(outputFormat);
-    }
+    const { hash, salt: finalSalt } = computeHash(input, {
+      algorithm,
+      outputFormat,
+      salt,
+      iterations: iterationCount,
+    });
 
     const hashingTime = Date.now() - startTime;
     const inputSize = Buffer.byteLength(input);
@@ -436,6 +453,7 @@ const generateRandom = async (request, reply) => {
 };
 
 module.exports = {
+  computeHash,
   aesEncrypt,
   aesDecrypt,
   generateHash,
@@ -1,4 +1,48 @@
-const { Readable } = require('node:stream');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const fsPromises = require('node:fs/promises');
+const path = require('node:path');
+const { Readable, Transform, pipeline } = require('node:stream');
+const {
+  CustomError,
+  crc32,
+  random: { createRandom, deriveSeed, randomSeed },
+  sandbox: { sandboxDir, isInside, resolveSandboxPath },
+} = require('../helpers');
+
+/**
+ * Directory served by the file readable endpoint
+ * @type {string}
+ */
+const FILES_DIR = sandboxDir('files');
+
+/**
+ * Content types by file extension for the file readable endpoint
+ * @readonly
+ * @type {Object<string, string>}
+ */
+const MIME_TYPES = {
+  '.txt': 'text/plain; charset=utf-8',
+  '.log': 'text/plain; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.json': 'application/json',
+  '.jsonl': 'application/x-ndjson',
+  '.ndjson': 'application/x-ndjson',
+  '.html': 'text/html; charset=utf-8',
+  '.xml': 'application/xml',
+  '.js': 'text/javascript; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+};
 
 /**
  * System limits for stream operations to prevent resource abuse
@@ -18,103 +62,288 @@ const LIMITS = {
   MAX_TEXT_LENGTH: 1000,
   /** Maximum number of repetitions */
   MAX_REPEAT: 999,
+  /** Interval between SSE heartbeat comments in milliseconds */
+  SSE_HEARTBEAT_INTERVAL: 15000,
+  /** Reconnection delay suggested to SSE clients in milliseconds */
+  SSE_RETRY: 3000,
+  /** Maximum highWaterMark accepted from the query (bytes, or items in object mode) */
+  MAX_HIGH_WATER_MARK: 1024 * 1024,
+  /** Maximum number of synthetic records per request */
+  MAX_RECORDS: 10000,
+  /** Maximum number of fields in a synthetic schema */
+  MAX_FIELDS: 50,
+  /** Maximum number of values in a synthetic enum field */
+  MAX_ENUM_VALUES: 100,
+  /** Maximum generated string length for synthetic fields */
+  MAX_STRING_LENGTH: 256,
+  /** Maximum length of an error burst in the log stream */
+  MAX_BURST_LENGTH: 100,
+  /** Maximum number of sources in a merged stream */
+  MAX_MERGE_SOURCES: 4,
+  /** Maximum interval between ticker ticks in milliseconds */
+  MAX_TICKER_DELAY: 60000,
+  /** Maximum number of tickers running at the same time */
+  MAX_TICKERS: 50,
+  /** How far ahead a cron schedule is searched for its next tick, in seconds */
+  CRON_LOOKAHEAD: 24 * 60 * 60,
+  /** Maximum payload size of a binary frame in bytes */
+  MAX_FRAME_SIZE: 64 * 1024,
 };
 
 /**
- * A readable stream that emits sequential numbers with configurable delays
+ * Base class for the timer-driven generators below.
+ * Produces one item per `delay`, keeps producing while `push()` returns true and stops
+ * when the consumer applies backpressure until `_read()` is called again.
+ * Subclasses implement `_hasNext()`, `_next()`, `_seek()` and a `total` getter.
  * @extends {Readable}
+ * @fires GeneratorStream#item
+ * @fires GeneratorStream#progress
+ * @fires GeneratorStream#complete
  */
-class NumberStream extends Readable {
+class GeneratorStream extends Readable {
   /**
-   * Creates a NumberStream instance
-   * @param {Object} [options={}] - Stream configuration options
-   * @param {number} [options.start=1] - Starting number (will be clamped to minimum 1)
-   * @param {number} [options.end=10] - Ending number (will be clamped to start + MAX_COUNT)
-   * @param {number} [options.delay=500] - Delay between numbers in ms (clamped to MIN_DELAY-MAX_DELAY)
+   * Emitted as each item is generated, just before it is pushed
+   * @event GeneratorStream#item
+   * @type {Object}
+   * @property {number} position - One-based position of the item in the full stream
+   * @property {string} chunk - The pushed chunk
    */
-  constructor(
-    options = {
-      start: 1,
-      end: 10,
-      delay: 500,
-    },
-  ) {
+
+  /**
+   * Emitted after each item with the overall progress
+   * @event GeneratorStream#progress
+   * @type {Object}
+   * @property {number} position - Items produced so far, including any skipped by seek()
+   * @property {number} total - Total items in the stream
+   * @property {number} percent - Completion percentage (0-100)
+   */
+
+  /**
+   * Emitted once the last item has been pushed, before `end`
+   * @event GeneratorStream#complete
+   * @type {Object}
+   * @property {number} position - Final position
+   * @property {number} total - Total items in the stream
+   * @property {number} emitted - Items pushed by this stream instance
+   * @property {Object} backpressure - See {@link GeneratorStream#getBackpressureStats}
+   */
+
+  /**
+   * Creates a GeneratorStream instance
+   * @param {Object} [options={}] - Readable options, including `highWaterMark` and `objectMode`
+   */
+  constructor(options = {}) {
     super(options);
-    this.start = Math.max(1, parseInt(options.start) || 1);
-    this.end = Math.min(this.start + LIMITS.MAX_COUNT, parseInt(options.end) || 10);
-    this.current = this.start;
-    this.delay = Math.max(LIMITS.MIN_DELAY, Math.min(LIMITS.MAX_DELAY, parseInt(options.delay) || 500));
+    this.position = 0;
+    this.emitted = 0;
     this._timer = null;
+    this._pausedAt = null;
+    this._completed = false;
+    this.backpressure = {
+      pushes: 0,
+      events: 0,
+      pausedMs: 0,
+    };
+  }
+
+  /**
+   * Move to a zero-based item position so a reconnecting client can resume.
+   * Must be called before the stream starts flowing.
+   * @param {number} position - Number of items the client already received
+   * @returns {GeneratorStream} This stream, for chaining
+   */
+  seek(position) {
+    this.position = position;
+    this._seek(position);
+    return this;
   }
 
   /**
-   * Internal method to read data from the stream
-   * Emits sequential numbers with configured delay until end is reached
+   * Internal method called when the consumer wants more data
+   * Resumes generation after backpressure, or starts it on the first call
    * @private
    */
   _read() {
-    if (this.current <= this.end) {
-      this._timer = setTimeout(() => {
-        this.push(`${this.current}\n`);
-        this.current++;
-      }, this.delay);
-    } else {
-      this.push(null); // Signal end of stream
+    if (this._pausedAt !== null) {
+      this.backpressure.pausedMs += Date.now() - this._pausedAt;
+      this._pausedAt = null;
     }
+
+    // A timer is already pending, generation is running
+    if (this._timer) return;
+
+    if (!this._hasNext()) {
+      this._complete();
+      return;
+    }
+
+    this._schedule();
   }
 
   /**
-   * Cleanup method called when stream is destroyed
-   * @param {Error|null} err - Error that caused destruction, if any
-   * @param {Function} callback - Callback to call when cleanup is complete
+   * Schedule the next item and keep going while the internal buffer has room
    * @private
    */
-  _destroy(err, callback) {
+  _schedule() {
+    this._timer = setTimeout(() => {
+      this._timer = null;
+
+      const chunk = this._next();
+      this.position++;
+      this.emitted++;
+      this.emit('item', { position: this.position, chunk });
+
+      const accepted = this.push(chunk);
+      this.backpressure.pushes++;
+      this.emit('progress', {
+        position: this.position,
+        total: this.total,
+        percent: this.total ? parseFloat(((this.position / this.total) * 100).toFixed(2)) : 100,
+      });
+
+      if (!accepted) {
+        this.backpressure.events++;
+        this._pausedAt = Date.now();
+        return;
+      }
+
+      if (this._hasNext()) {
+        this._schedule();
+      } else {
+        this._complete();
+      }
+    }, this._nextDelay());
+  }
+
+  /**
+   * Delay before the next item; subclasses override this for variable schedules
+   * @returns {number} Delay in ms
+   * @private
+   */
+  _nextDelay() {
+    return this.delay;
+  }
+
+  /**
+   * Cancel the pending item timer, if any
+   * @private
+   */
+  _clearTimer() {
     if (this._timer) {
       clearTimeout(this._timer);
       this._timer = null;
     }
-    callback(err);
   }
 
-  eventNames() {
-    return undefined;
+  /**
+   * Emit `complete` and signal the end of the stream
+   * @private
+   */
+  _complete() {
+    if (this._completed) return;
+    this._completed = true;
+
+    this.emit('complete', {
+      position: this.position,
+      total: this.total,
+      emitted: this.emitted,
+      backpressure: this.getBackpressureStats(),
+    });
+    this.push(null);
   }
 
-  getMaxListeners() {
-    return 0;
+  /**
+   * Get backpressure statistics for this stream
+   * @returns {Object} Push count, backpressure events, time spent paused and buffer settings
+   */
+  getBackpressureStats() {
+    return {
+      ...this.backpressure,
+      highWaterMark: this.readableHighWaterMark,
+      objectMode: this.readableObjectMode,
+      buffered: this.readableLength,
+    };
   }
 
-  listenerCount(eventName, listener) {
-    return 0;
+  /**
+   * Cleanup method called when stream is destroyed
+   * @param {Error|null} err - Error that caused destruction, if any
+   * @param {Function} callback - Callback to call when cleanup is complete
+   * @private
+   */
+  _destroy(err, callback) {
+    this._clearTimer();
+    callback(err);
   }
+}
 
-  listeners(eventName) {
-    return undefined;
+/**
+ * A readable stream that emits sequential numbers with configurable delays
+ * @extends {GeneratorStream}
+ */
+class NumberStream extends GeneratorStream {
+  /**
+   * Creates a NumberStream instance
+   * @param {Object} [options={}] - Stream configuration options
+   * @param {number} [options.start=1] - Starting number (will be clamped to minimum 1)
+   * @param {number} [options.end=10] - Ending number (will be clamped to start + MAX_COUNT)
+   * @param {number} [options.delay=500] - Delay between numbers in ms (clamped to MIN_DELAY-MAX_DELAY)
+   */
+  constructor(
+    options = {
+      start: 1,
+      end: 10,
+      delay: 500,
+    },
+  ) {
+    super(options);
+    this.start = Math.max(1, parseInt(options.start) || 1);
+    this.end = Math.min(this.start + LIMITS.MAX_COUNT, parseInt(options.end) || 10);
+    this.current = this.start;
+    this.delay = Math.max(LIMITS.MIN_DELAY, Math.min(LIMITS.MAX_DELAY, parseInt(options.delay) || 500));
   }
 
-  off(eventName, listener) {
-    return undefined;
+  /**
+   * Whether numbers remain before end is reached
+   * @returns {boolean} True while current <= end
+   * @private
+   */
+  _hasNext() {
+    return this.current <= this.end;
   }
 
-  rawListeners(eventName) {
-    return undefined;
+  /**
+   * Produce the next sequential number
+   * @returns {string} Number followed by a newline
+   * @private
+   */
+  _next() {
+    return `${this.current++}\n`;
   }
 
-  removeAllListeners(eventName) {
-    return undefined;
+  /**
+   * Total number of items produced from the beginning of the stream
+   * @type {number}
+   */
+  get total() {
+    return Math.max(0, this.end - this.start + 1);
   }
 
-  setMaxListeners(n) {
-    return undefined;
+  /**
+   * Move the generator to a zero-based item position
+   * @param {number} position - Number of items to skip
+   * @private
+   */
+  _seek(position) {
+    this.current = this.start + position;
   }
 }
 
 /**
  * A readable stream that emits simple JSON data objects
- * @extends {Readable}
+ * @extends {GeneratorStream}
  */
-class SimpleDataStream extends Readable {
+class SimpleDataStream extends GeneratorStream {
   /**
    * Creates a SimpleDataStream instance
    * @param {Object} [options={}] - Stream configuration options
@@ -126,237 +355,1554 @@ class SimpleDataStream extends Readable {
     this.count = Math.min(LIMITS.MAX_COUNT, parseInt(options.count) || 10);
     this.delay = Math.max(LIMITS.MIN_DELAY, Math.min(LIMITS.MAX_DELAY, parseInt(options.delay) || 300));
     this.current = 1;
-    this._timer = null;
   }
 
   /**
-   * Internal method to read data from the stream
-   * Emits JSON objects with id, name, and random value
+   * Whether items remain to be emitted
+   * @returns {boolean} True while current <= count
    * @private
    */
-  _read() {
-    if (this.current <= this.count) {
-      this._timer = setTimeout(() => {
-        const data = {
-          id: this.current,
-          name: `Item ${this.current}`,
-          value: Math.floor(Math.random() * 100),
-        };
-        this.push(JSON.stringify(data) + '\n');
-        this.current++;
-      }, this.delay);
-    } else {
-      this.push(null);
-    }
+  _hasNext() {
+    return this.current <= this.count;
   }
 
   /**
-   * Cleanup method called when stream is destroyed
-   * @param {Error|null} err - Error that caused destruction, if any
-   * @param {Function} callback - Callback to call when cleanup is complete
+   * Produce the next JSON object with id, name, and random value
+   * @returns {string} Serialized object followed by a newline
    * @private
    */
-  _destroy(err, callback) {
-    if (this._timer) {
-      clearTimeout(this._timer);
-      this._timer = null;
-    }
-    callback(err);
-  }
-
-  eventNames() {
-    return undefined;
+  _next() {
+    const data = {
+      id: this.current,
+      name: `Item ${this.current}`,
+      value: Math.floor(Math.random() * 100),
+    };
+    this.current++;
+    return JSON.stringify(data) + '\n';
   }
 
-  getMaxListeners() {
-    return 0;
-  }
-
-  listenerCount(eventName, listener) {
-    return 0;
+  /**
+   * Total number of items produced from the beginning of the stream
+   * @type {number}
+   */
+  get total() {
+    return this.count;
   }
 
-  listeners(eventName) {
-    return undefined;
+  /**
+   * Move the generator to a zero-based item position
+   * @param {number} position - Number of items to skip
+   * @private
+   */
+  _seek(position) {
+    this.current = 1 + position;
   }
+}
 
-  off(eventName, listener) {
-    return undefined;
-  }
+/**
+ * Log levels with their sampling weight, pino numeric level and syslog severity
+ * @readonly
+ * @type {Object<string, {weight: number, pino: number, syslog: number}>}
+ */
+const LOG_LEVELS = {
+  debug: { weight: 15, pino: 20, syslog: 7 },
+  info: { weight: 60, pino: 30, syslog: 6 },
+  warn: { weight: 15, pino: 40, syslog: 4 },
+  error: { weight: 10, pino: 50, syslog: 3 },
+};
 
-  rawListeners(eventName) {
-    return undefined;
-  }
+/**
+ * Sample data used to build realistic log entries
+ * @readonly
+ */
+const LOG_SAMPLES = {
+  services: ['api', 'auth', 'billing', 'worker'],
+  messages: {
+    debug: ['Cache lookup', 'Query plan selected', 'Retrying with backoff', 'Config reloaded'],
+    info: ['Request completed', 'User logged in', 'Job finished', 'Cache hit'],
+    warn: ['Slow query detected', 'Rate limit approaching', 'Deprecated endpoint called', 'Retry attempt'],
+    error: ['Database connection timeout', 'Upstream returned 502', 'Unhandled exception', 'Payment declined'],
+  },
+  statuses: {
+    debug: [200, 204, 304],
+    info: [200, 201, 204, 301, 304],
+    warn: [400, 401, 404, 429],
+    error: [500, 502, 503],
+  },
+  methods: ['GET', 'GET', 'GET', 'POST', 'PUT', 'DELETE'],
+  paths: ['/api/users', '/api/orders', '/api/login', '/api/products/42', '/health', '/api/invoices'],
+  userAgents: ['Mozilla/5.0 (X11; Linux x86_64)', 'curl/8.5.0', 'okhttp/4.12.0', 'Go-http-client/2.0'],
+};
 
-  removeAllListeners(eventName) {
-    return undefined;
-  }
+/**
+ * Formats a date as a Common Log Format timestamp (e.g. 10/Oct/2025:13:55:36 +0000)
+ * @param {Date} date - Date to format
+ * @returns {string} CLF timestamp in UTC
+ */
+const toClfTime = date => {
+  const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+  const pad = n => String(n).padStart(2, '0');
+  return (
+    `${pad(date.getUTCDate())}/${months[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`
+  );
+};
 
-  setMaxListeners(n) {
-    return undefined;
-  }
-}
+/**
+ * Log line renderers, keyed by format name. Each receives a generated entry.
+ * @type {Object<string, Function>}
+ */
+const LOG_FORMATS = {
+  simple: entry => `[${entry.time.toLocaleTimeString()}] ${entry.level.toUpperCase()}: Log entry ${entry.number}`,
+  combined: entry =>
+    `${entry.ip} - - [${toClfTime(entry.time)}] "${entry.method} ${entry.path} HTTP/1.1" ` +
+    `${entry.status} ${entry.bytes} "-" "${entry.userAgent}"`,
+  syslog: entry =>
+    `<${16 * 8 + LOG_LEVELS[entry.level].syslog}>1 ${entry.time.toISOString()} ${entry.hostname} ${entry.service} ` +
+    `${entry.pid} - [meta requestId="${entry.requestId}"] ${entry.message}`,
+  json: entry =>
+    JSON.stringify({
+      level: LOG_LEVELS[entry.level].pino,
+      time: entry.time.getTime(),
+      pid: entry.pid,
+      hostname: entry.hostname,
+      service: entry.service,
+      reqId: entry.requestId,
+      responseTime: entry.durationMs,
+      msg: entry.message,
+    }),
+  logfmt: entry =>
+    `time=${entry.time.toISOString()} level=${entry.level} service=${entry.service} ` +
+    `request_id=${entry.requestId} duration_ms=${entry.durationMs} msg="${entry.message}"`,
+};
 
 /**
- * A readable stream that emits simulated log entries
- * @extends {Readable}
+ * A readable stream that emits simulated log entries in common real-world formats
+ * @extends {GeneratorStream}
  */
-class SimpleLogStream extends Readable {
+class SimpleLogStream extends GeneratorStream {
   /**
    * Creates a SimpleLogStream instance
    * @param {Object} [options={}] - Stream configuration options
    * @param {number} [options.maxLogs=10] - Maximum number of log entries (clamped to MAX_LOGS)
    * @param {number} [options.delay=400] - Delay between log entries in ms (clamped to MIN_DELAY-MAX_DELAY)
+   * @param {string} [options.format='simple'] - Output format, one of LOG_FORMATS
+   * @param {string[]} [options.levels=['info','warn','error']] - Levels to emit
+   * @param {string[]} [options.services] - Services to emit, defaults to all sample services
+   * @param {number} [options.burstEvery=0] - Emit an error burst after this many regular entries (0 disables)
+   * @param {number} [options.burstLength=5] - Number of consecutive error entries per burst
+   * @param {number} [options.seed] - Seed for reproducible entries, random when omitted
    */
   constructor(options = {}) {
     super(options);
     this.maxLogs = Math.min(LIMITS.MAX_LOGS, parseInt(options.maxLogs) || 10);
     this.delay = Math.max(LIMITS.MIN_DELAY, Math.min(LIMITS.MAX_DELAY, parseInt(options.delay) || 400));
+    this.format = LOG_FORMATS[options.format] ? options.format : 'simple';
+    this.levels = options.levels?.length ? options.levels : ['info', 'warn', 'error'];
+    this.services = options.services?.length ? options.services : LOG_SAMPLES.services;
+    this.burstEvery = Math.max(0, parseInt(options.burstEvery) || 0);
+    this.burstLength = Math.min(LIMITS.MAX_BURST_LENGTH, Math.max(1, parseInt(options.burstLength) || 5));
+    this.seed = Number.isInteger(Number(options.seed ?? NaN)) ? Number(options.seed) >>> 0 : randomSeed();
     this.current = 1;
-    this._timer = null;
+    this.renderedLevels = [];
   }
 
   /**
-   * Internal method to read data from the stream
-   * Emits formatted log entries with timestamp, level, and message
+   * Whether log entries remain to be emitted
+   * @returns {boolean} True while current <= maxLogs
    * @private
    */
-  _read() {
-    if (this.current <= this.maxLogs) {
-      this._timer = setTimeout(() => {
-        const levels = ['INFO', 'WARN', 'ERROR'];
-        const level = levels[Math.floor(Math.random() * levels.length)];
-        const timestamp = new Date().toLocaleTimeString();
-        this.push(`[${timestamp}] ${level}: Log entry ${this.current}\n`);
-        this.current++;
-      }, this.delay);
-    } else {
-      this.push(null);
-    }
+  _hasNext() {
+    return this.current <= this.maxLogs;
   }
 
   /**
-   * Cleanup method called when stream is destroyed
-   * @param {Error|null} err - Error that caused destruction, if any
-   * @param {Function} callback - Callback to call when cleanup is complete
+   * Produce the next log entry rendered in the configured format
+   * @returns {string} Log line followed by a newline
    * @private
    */
-  _destroy(err, callback) {
-    if (this._timer) {
-      clearTimeout(this._timer);
-      this._timer = null;
+  _next() {
+    const entry = this.generateEntry(this.current++);
+    this.renderedLevels.push(entry.level);
+    return LOG_FORMATS[this.format](entry) + '\n';
+  }
+
+  /**
+   * Whether the entry at a given position falls inside an error burst
+   * @param {number} number - One-based entry number
+   * @returns {boolean} True when the entry is part of a burst
+   */
+  isBurst(number) {
+    if (!this.burstEvery || !this.levels.includes('error')) return false;
+    return (number - 1) % (this.burstEvery + this.burstLength) >= this.burstEvery;
+  }
+
+  /**
+   * Generate the entry at a given position. Everything except the timestamp is derived
+   * from the seed and the position, so a resumed stream yields the same entries.
+   * @param {number} number - One-based entry number
+   * @returns {Object} Generated log entry
+   */
+  generateEntry(number) {
+    const random = createRandom(deriveSeed(this.seed, number));
+    const pick = items => items[Math.floor(random() * items.length)];
+
+    let level = 'error';
+    if (!this.isBurst(number)) {
+      const totalWeight = this.levels.reduce((sum, name) => sum + LOG_LEVELS[name].weight, 0);
+      let roll = random() * totalWeight;
+      level = this.levels.find(name => (roll -= LOG_LEVELS[name].weight) < 0) || this.levels[0];
     }
-    callback(err);
+
+    const service = pick(this.services);
+
+    return {
+      number,
+      time: new Date(),
+      level,
+      service,
+      message: pick(LOG_SAMPLES.messages[level]),
+      hostname: `${service}-${Math.floor(random() * 3) + 1}`,
+      pid: 1000 + Math.floor(random() * 9000),
+      requestId: Math.floor(random() * 0xffffffff)
+        .toString(16)
+        .padStart(8, '0'),
+      ip: `10.0.${Math.floor(random() * 256)}.${Math.floor(random() * 256)}`,
+      method: pick(LOG_SAMPLES.methods),
+      path: pick(LOG_SAMPLES.paths),
+      status: pick(LOG_SAMPLES.statuses[level]),
+      bytes: Math.floor(random() * 50000),
+      durationMs: Math.floor(random() * (level === 'error' ? 5000 : 300)),
+      userAgent: pick(LOG_SAMPLES.userAgents),
+    };
   }
 
-  eventNames() {
-    return undefined;
+  /**
+   * Level of the oldest rendered entry not named yet, used to name SSE events.
+   * Every entry renders as one line and lines are consumed in order, so levels are handed out in the same order.
+   * @returns {string} Log level
+   */
+  nextLevel() {
+    return this.renderedLevels.shift() ?? 'info';
   }
 
-  getMaxListeners() {
-    return 0;
+  /**
+   * Total number of entries produced from the beginning of the stream
+   * @type {number}
+   */
+  get total() {
+    return this.maxLogs;
   }
 
-  listenerCount(eventName, listener) {
-    return 0;
+  /**
+   * Move the generator to a zero-based entry position
+   * @param {number} position - Number of entries to skip
+   * @private
+   */
+  _seek(position) {
+    this.current = 1 + position;
   }
+}
 
-  listeners(eventName) {
-    return undefined;
+/**
+ * A readable stream that repeats a custom text with a running counter
+ * @extends {GeneratorStream}
+ */
+class TextRepeatStream extends GeneratorStream {
+  /**
+   * Creates a TextRepeatStream instance
+   * @param {Object} [options={}] - Stream configuration options
+   * @param {string} [options.text='Hello'] - Text to repeat (truncated to MAX_TEXT_LENGTH)
+   * @param {number} [options.repeat=5] - Number of repetitions (clamped to 1-MAX_REPEAT)
+   * @param {number} [options.delay=1000] - Delay between repetitions in ms (clamped to MIN_DELAY-MAX_DELAY)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.text = String(options.text || 'Hello').substring(0, LIMITS.MAX_TEXT_LENGTH);
+    this.repeat = Math.min(Math.max(parseInt(options.repeat) || 5, 1), LIMITS.MAX_REPEAT);
+    this.delay = Math.max(Math.min(parseInt(options.delay) || 1000, LIMITS.MAX_DELAY), LIMITS.MIN_DELAY);
+    this.count = 0;
   }
 
-  off(eventName, listener) {
-    return undefined;
+  /**
+   * Whether repetitions remain to be emitted
+   * @returns {boolean} True while count < repeat
+   * @private
+   */
+  _hasNext() {
+    return this.count < this.repeat;
   }
 
-  rawListeners(eventName) {
-    return undefined;
+  /**
+   * Produce the next repetition
+   * @returns {string} Text and counter followed by a newline
+   * @private
+   */
+  _next() {
+    this.count++;
+    return `${this.text} ${this.count}\n`;
   }
 
-  removeAllListeners(eventName) {
-    return undefined;
+  /**
+   * Total number of repetitions produced from the beginning of the stream
+   * @type {number}
+   */
+  get total() {
+    return this.repeat;
   }
 
-  setMaxListeners(n) {
-    return undefined;
+  /**
+   * Move the generator to a zero-based repetition
+   * @param {number} position - Number of repetitions to skip
+   * @private
+   */
+  _seek(position) {
+    this.count = position;
   }
 }
 
 /**
- * Fastify route handler for basic number stream
- * Streams sequential numbers with configurable start, end, and delay
- * @async
- * @param {Object} request - Fastify request object
- * @param {Object} request.query - Query parameters
- * @param {string} [request.query.start="1"] - Starting number
- * @param {string} [request.query.end="10"] - Ending number
- * @param {string} [request.query.delay="500"] - Delay between numbers in ms
- * @param {Object} reply - Fastify reply object
- * @returns {Promise<Object>} Fastify reply with stream
- * @example
- * // GET /api/v1/readable/basic?start=1&end=5&delay=1000
- * // Response: "1\n2\n3\n4\n5\n" (with 1 second delays)
+ * Value generators for synthetic schema fields, keyed by field type
+ * @type {Object<string, Function>}
  */
-const basicReadable = async (request, reply) => {
-  reply.type('text/plain');
-  const { start, end, delay } = request.query;
-
-  const stream = new NumberStream({ start, end, delay });
-  return reply.send(stream);
+const FIELD_GENERATORS = {
+  integer: (field, random) => field.min + Math.floor(random() * (field.max - field.min + 1)),
+  number: (field, random) => parseFloat((field.min + random() * (field.max - field.min)).toFixed(field.precision)),
+  boolean: (field, random) => random() < 0.5,
+  string: (field, random) => {
+    const length = field.minLength + Math.floor(random() * (field.maxLength - field.minLength + 1));
+    let text = '';
+    for (let i = 0; i < length; i++) {
+      text += String.fromCharCode(97 + Math.floor(random() * 26));
+    }
+    return text;
+  },
+  enum: (field, random) => field.values[Math.floor(random() * field.values.length)],
+  date: (field, random) => new Date(field.min + Math.floor(random() * (field.max - field.min + 1))).toISOString(),
+  email: (field, random) => `${FIELD_GENERATORS.string({ minLength: 4, maxLength: 10 }, random)}@example.com`,
+  uuid: (field, random) => {
+    const hex = Array.from({ length: 32 }, () => Math.floor(random() * 16).toString(16));
+    hex[12] = '4';
+    hex[16] = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+    return hex.join('').replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5');
+  },
+  sequence: (field, random, index) => field.start + index,
 };
 
 /**
- * Fastify route handler for JSON data stream
- * Streams JSON objects with id, name, and random values
- * @async
- * @param {Object} request - Fastify request object
- * @param {Object} request.query - Query parameters
- * @param {string} [request.query.count="10"] - Number of items to stream
- * @param {string} [request.query.delay="300"] - Delay between items in ms
- * @param {Object} reply - Fastify reply object
- * @returns {Promise<Object>} Fastify reply with JSON stream
- * @example
- * // GET /api/v1/readable/data?count=3&delay=500
- * // Response: {"id":1,"name":"Item 1","value":42}\n{"id":2,"name":"Item 2","value":87}\n...
+ * Validates a synthetic dataset schema and fills in per-type defaults
+ * @param {Object[]} fields - Field definitions from the request body
+ * @param {string} fields[].name - Field name
+ * @param {string} fields[].type - One of the FIELD_GENERATORS types
+ * @param {number} [fields[].min] - Lower bound for integer, number and date fields, rounded up for integers
+ * @param {number} [fields[].max] - Upper bound for integer, number and date fields, rounded down for integers
+ * @param {number} [fields[].precision=2] - Decimal places for number fields
+ * @param {number} [fields[].minLength=5] - Minimum length for string fields
+ * @param {number} [fields[].maxLength=12] - Maximum length for string fields
+ * @param {Array} [fields[].values] - Allowed values for enum fields
+ * @param {number} [fields[].start=1] - First value for sequence fields
+ * @param {number} [fields[].nullable=0] - Probability (0-1) that the value is null
+ * @returns {Object[]} Normalized field definitions
+ * @throws {CustomError} 400 when the schema is invalid
  */
-const dataReadable = async (request, reply) => {
-  reply.type('application/json');
-  const { count, delay } = request.query;
-  const stream = new SimpleDataStream({ count, delay });
-  return reply.send(stream);
+const validateSchema = fields => {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new CustomError('Schema must include a non-empty "fields" array', 400);
+  }
+  if (fields.length > LIMITS.MAX_FIELDS) {
+    throw new CustomError(`Schema cannot have more than ${LIMITS.MAX_FIELDS} fields`, 400);
+  }
+
+  const names = new Set();
+
+  return fields.map((field, index) => {
+    const name = String(field?.name || '').substring(0, 64);
+    if (!name) {
+      throw new CustomError(`Field ${index} is missing a name`, 400);
+    }
+    if (names.has(name)) {
+      throw new CustomError(`Duplicate field name "${name}"`, 400);
+    }
+    names.add(name);
+
+    if (!FIELD_GENERATORS[field.type]) {
+      throw new CustomError(
+        `Unknown type "${field.type}" for field "${name}". Supported: ${Object.keys(FIELD_GENERATORS).join(', ')}`,
+        400,
+      );
+    }
+
+    const nullable = Number(field.nullable) || 0;
+    if (nullable < 0 || nullable > 1) {
+      throw new CustomError(`Field "${name}": nullable must be between 0 and 1`, 400);
+    }
+
+    const normalized = { name, type: field.type, nullable };
+
+    switch (field.type) {
+      case 'integer':
+      case 'number':
+        normalized.min = Number(field.min ?? 0);
+        normalized.max = Number(field.max ?? 100);
+        normalized.precision = Math.min(10, Math.max(0, parseInt(field.precision ?? 2) || 0));
+        if (field.type === 'integer') {
+          normalized.min = Math.ceil(normalized.min);
+          normalized.max = Math.floor(normalized.max);
+        }
+        break;
+      case 'date':
+        normalized.min = Date.parse(field.min ?? '2020-01-01T00:00:00Z');
+        normalized.max = field.max === undefined ? Date.now() : Date.parse(field.max);
+        break;
+      case 'string':
+        normalized.minLength = Math.max(0, parseInt(field.minLength ?? 5) || 0);
+        normalized.maxLength = Math.min(LIMITS.MAX_STRING_LENGTH, parseInt(field.maxLength ?? 12) || 0);
+        if (normalized.minLength > normalized.maxLength) {
+          throw new CustomError(`Field "${name}": minLength cannot exceed maxLength`, 400);
+        }
+        break;
+      case 'enum':
+        if (!Array.isArray(field.values) || field.values.length === 0) {
+          throw new CustomError(`Field "${name}": enum requires a non-empty "values" array`, 400);
+        }
+        normalized.values = field.values.slice(0, LIMITS.MAX_ENUM_VALUES);
+        break;
+      case 'sequence':
+        normalized.start = parseInt(field.start ?? 1) || 0;
+        break;
+    }
+
+    if (Number.isNaN(normalized.min) || Number.isNaN(normalized.max) || normalized.min > normalized.max) {
+      throw new CustomError(`Field "${name}": invalid range`, 400);
+    }
+
+    return normalized;
+  });
+};
+
+/**
+ * Escapes a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+const toCsvCell = value => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * A readable stream that emits reproducible fake records generated from a schema
+ * @extends {GeneratorStream}
+ */
+class SyntheticDataStream extends GeneratorStream {
+  /**
+   * Creates a SyntheticDataStream instance
+   * @param {Object} options - Stream configuration options
+   * @param {Object[]} options.fields - Normalized field definitions, see {@link validateSchema}
+   * @param {number} [options.count=10] - Number of records (clamped to MAX_RECORDS)
+   * @param {number} [options.seed] - Seed for reproducible output, random when omitted
+   * @param {string} [options.format='jsonl'] - Output format (jsonl, csv)
+   * @param {number} [options.delay=0] - Delay between records in ms (clamped to 0-MAX_DELAY)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.fields = options.fields;
+    this.count = Math.min(LIMITS.MAX_RECORDS, Math.max(1, parseInt(options.count) || 10));
+    this.seed = Number.isInteger(Number(options.seed ?? NaN)) ? Number(options.seed) >>> 0 : randomSeed();
+    this.format = options.format === 'csv' ? 'csv' : 'jsonl';
+    this.delay = Math.max(0, Math.min(LIMITS.MAX_DELAY, parseInt(options.delay) || 0));
+    this.current = 0;
+    this._headerSent = false;
+  }
+
+  /**
+   * Whether records remain to be emitted
+   * @returns {boolean} True while current < count
+   * @private
+   */
+  _hasNext() {
+    return this.current < this.count;
+  }
+
+  /**
+   * Produce the next record; the CSV header is prepended to row 0 only, so resumed parts concatenate cleanly
+   * @returns {string} Serialized record followed by a newline
+   * @private
+   */
+  _next() {
+    const record = this.generateRecord(this.current++);
+
+    if (this.format === 'jsonl') {
+      return JSON.stringify(record) + '\n';
+    }
+
+    const row = this.fields.map(field => toCsvCell(record[field.name])).join(',') + '\n';
+    if (this._headerSent) return row;
+
+    this._headerSent = true;
+    return this.fields.map(field => toCsvCell(field.name)).join(',') + '\n' + row;
+  }
+
+  /**
+   * Generate the record at a given position. Each record has its own derived seed,
+   * so the output does not depend on where the stream started.
+   * @param {number} index - Zero-based record index
+   * @returns {Object} Generated record
+   */
+  generateRecord(index) {
+    const random = createRandom(deriveSeed(this.seed, index));
+    // Field names come from the client, so a "__proto__" field must stay a plain key
+    const record = Object.create(null);
+
+    for (const field of this.fields) {
+      record[field.name] =
+        field.nullable > 0 && random() < field.nullable ? null : FIELD_GENERATORS[field.type](field, random, index);
+    }
+
+    return record;
+  }
+
+  /**
+   * Total number of records produced from the beginning of the stream
+   * @type {number}
+   */
+  get total() {
+    return this.count;
+  }
+
+  /**
+   * Move the generator to a zero-based record position
+   * @param {number} position - Number of records to skip
+   * @private
+   */
+  _seek(position) {
+    this.current = position;
+    // The client received the header with the first part of the download
+    this._headerSent = position > 0;
+  }
+}
+
+/**
+ * Typed array constructors available for binary frame payloads
+ * @readonly
+ * @type {Object<string, Function>}
+ */
+const ELEMENT_TYPES = {
+  uint8: Uint8Array,
+  int8: Int8Array,
+  uint16: Uint16Array,
+  int16: Int16Array,
+  uint32: Uint32Array,
+  int32: Int32Array,
+  float32: Float32Array,
+  float64: Float64Array,
+};
+
+/**
+ * Payload patterns for binary frames. Each returns the value of element `i` in a frame.
+ * @type {Object<string, Function>}
+ */
+const BINARY_PATTERNS = {
+  random: ({ random, max, float }) => (float ? random() * 2 - 1 : Math.floor(random() * max)),
+  zeros: () => 0,
+  // Floats count up unwrapped (0, 1, 2, ...), integer types wrap at their range
+  sequence: ({ offset, i, max, float }) => (float ? offset + i : (offset + i) % max),
+  sine: ({ offset, i, max, float }) => {
+    const value = Math.sin(((offset + i) / 64) * Math.PI * 2);
+    return float ? value : Math.round(((value + 1) / 2) * (max - 1));
+  },
+};
+
+/**
+ * A readable stream that emits length-prefixed binary frames.
+ * Each frame is a uint32 big-endian payload length, the payload, and an optional uint32 big-endian CRC32 of the payload.
+ * Payloads are typed arrays in platform byte order (little-endian on x86 and ARM).
+ * @extends {GeneratorStream}
+ */
+class BinaryFrameStream extends GeneratorStream {
+  /**
+   * Creates a BinaryFrameStream instance
+   * @param {Object} [options={}] - Stream configuration options
+   * @param {number} [options.frames=10] - Number of frames (clamped to MAX_COUNT)
+   * @param {number} [options.length=16] - Elements per frame (payload clamped to MAX_FRAME_SIZE bytes)
+   * @param {string} [options.elementType='uint8'] - Payload element type, one of ELEMENT_TYPES
+   * @param {string} [options.pattern='random'] - Payload pattern, one of BINARY_PATTERNS
+   * @param {boolean} [options.crc=false] - Append a CRC32 of the payload to each frame
+   * @param {number} [options.delay=100] - Delay between frames in ms (clamped to MIN_DELAY-MAX_DELAY)
+   * @param {number} [options.seed] - Seed for reproducible random payloads
+   */
+  constructor(options = {}) {
+    super(options);
+    this.frames = Math.min(LIMITS.MAX_COUNT, Math.max(1, parseInt(options.frames) || 10));
+    this.elementType = ELEMENT_TYPES[options.elementType] ? options.elementType : 'uint8';
+    this.pattern = BINARY_PATTERNS[options.pattern] ? options.pattern : 'random';
+    this.crc = options.crc === true || options.crc === 'true';
+    this.delay = Math.max(LIMITS.MIN_DELAY, Math.min(LIMITS.MAX_DELAY, parseInt(options.delay) || 100));
+    this.seed = Number.isInteger(Number(options.seed ?? NaN)) ? Number(options.seed) >>> 0 : randomSeed();
+
+    const { BYTES_PER_ELEMENT } = ELEMENT_TYPES[this.elementType];
+    this.length = Math.min(
+      Math.floor(LIMITS.MAX_FRAME_SIZE / BYTES_PER_ELEMENT),
+      Math.max(1, parseInt(options.length) || 16),
+    );
+    this.current = 0;
+  }
+
+  /**
+   * Whether frames remain to be emitted
+   * @returns {boolean} True while current < frames
+   * @private
+   */
+  _hasNext() {
+    return this.current < this.frames;
+  }
+
+  /**
+   * Produce the next frame
+   * @returns {Buffer} Length prefix, payload and optional CRC32
+   * @private
+   */
+  _next() {
+    const payload = this.generatePayload(this.current++);
+    const frame = Buffer.alloc(4 + payload.length + (this.crc ? 4 : 0));
+
+    frame.writeUInt32BE(payload.length, 0);
+    payload.copy(frame, 4);
+    if (this.crc) {
+      frame.writeUInt32BE(crc32(payload), 4 + payload.length);
+    }
+
+    return frame;
+  }
+
+  /**
+   * Generate the payload of a given frame
+   * @param {number} index - Zero-based frame index
+   * @returns {Buffer} Payload bytes
+   */
+  generatePayload(index) {
+    const TypedArray = ELEMENT_TYPES[this.elementType];
+    const float = this.elementType.startsWith('float');
+    const max = float ? 1 : 2 ** (TypedArray.BYTES_PER_ELEMENT * 8);
+    const random = createRandom(deriveSeed(this.seed, index));
+    const values = new TypedArray(this.length);
+
+    for (let i = 0; i < this.length; i++) {
+      values[i] = BINARY_PATTERNS[this.pattern]({ random, max, float, i, offset: index * this.length });
+    }
+
+    return Buffer.from(values.buffer, values.byteOffset, values.byteLength);
+  }
+
+  /**
+   * Total number of frames produced from the beginning of the stream
+   * @type {number}
+   */
+  get total() {
+    return this.frames;
+  }
+
+  /**
+   * Move the generator to a zero-based frame
+   * @param {number} position - Number of frames to skip
+   * @private
+   */
+  _seek(position) {
+    this.current = position;
+  }
+}
+
+/**
+ * Cron fields with their allowed ranges, seconds first
+ * @readonly
+ */
+const CRON_FIELDS = [
+  { name: 'second', min: 0, max: 59 },
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+/**
+ * Parses a cron expression into sets of allowed values.
+ * Accepts 5 fields (minute precision) or 6 fields with a leading seconds field.
+ * Each field supports `*`, `n`, `a-b`, lists (`a,b`) and steps (`*\/n`, `a-b/n`).
+ * @param {string} expression - Cron expression, evaluated in UTC
+ * @returns {Object} Allowed values per field plus day restriction flags
+ * @throws {CustomError} 400 for malformed expressions
+ */
+const parseCron = expression => {
+  const parts = String(expression || '')
+    .trim()
+    .split(/\s+/);
+
+  if (parts.length === 5) parts.unshift('0');
+  if (parts.length !== 6) {
+    throw new CustomError('Cron expression must have 5 or 6 fields', 400);
+  }
+
+  const schedule = {};
+
+  CRON_FIELDS.forEach(({ name, min, max }, index) => {
+    const values = new Set();
+
+    for (const part of parts[index].split(',')) {
+      const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+      if (!match) {
+        throw new CustomError(`Invalid cron ${name} field "${parts[index]}"`, 400);
+      }
+
+      const from = match[1] === '*' ? min : parseInt(match[2]);
+      const to = match[1] === '*' ? max : match[3] !== undefined ? parseInt(match[3]) : match[4] ? max : from;
+      const step = match[4] ? parseInt(match[4]) : 1;
+
+      if (from < min || to > max || from > to || step < 1) {
+        throw new CustomError(`Cron ${name} field "${parts[index]}" is out of range (${min}-${max})`, 400);
+      }
+
+      for (let value = from; value <= to; value += step) {
+        // Sunday can be written as 0 or 7
+        values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+      }
+    }
+
+    schedule[name] = values;
+  });
+
+  schedule.dayOfMonthRestricted = parts[3] !== '*';
+  schedule.dayOfWeekRestricted = parts[5] !== '*';
+
+  return schedule;
+};
+
+/**
+ * Finds the smallest allowed value of a cron field at or after a given value
+ * @param {Set<number>} values - Allowed values of the field
+ * @param {number} from - Current value of the field
+ * @returns {number|null} Next allowed value, or null when the field has to roll over
+ */
+const nextCronValue = (values, from) => {
+  let next = null;
+  for (const value of values) {
+    if (value >= from && (next === null || value < next)) next = value;
+  }
+  return next;
+};
+
+/**
+ * Finds the next time a cron schedule fires after a given moment.
+ * Jumps field by field (month, day, hour, minute, second) to the next allowed value
+ * instead of testing every second, so a lookup takes at most a few hundred steps.
+ * @param {Object} schedule - Parsed schedule, see {@link parseCron}
+ * @param {number} from - Timestamp in ms to search from (exclusive)
+ * @returns {number|null} Timestamp in ms of the next tick, or null when none falls within CRON_LOOKAHEAD
+ */
+const nextCronTime = (schedule, from) => {
+  const date = new Date(Math.floor(from / 1000) * 1000 + 1000);
+  const limit = date.getTime() + (LIMITS.CRON_LOOKAHEAD - 1) * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    // Standard cron: when both day fields are restricted, either one may match
+    const dayOfMonth = schedule.dayOfMonth.has(date.getUTCDate());
+    const dayOfWeek = schedule.dayOfWeek.has(date.getUTCDay());
+    const dayMatches =
+      schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+
+    if (!dayMatches) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    const hour = nextCronValue(schedule.hour, date.getUTCHours());
+    if (hour !== date.getUTCHours()) {
+      if (hour === null) {
+        date.setUTCDate(date.getUTCDate() + 1);
+        date.setUTCHours(0, 0, 0, 0);
+      } else {
+        date.setUTCHours(hour, 0, 0, 0);
+      }
+      continue;
+    }
+
+    const minute = nextCronValue(schedule.minute, date.getUTCMinutes());
+    if (minute !== date.getUTCMinutes()) {
+      date.setUTCHours(hour + (minute === null ? 1 : 0), minute ?? 0, 0, 0);
+      continue;
+    }
+
+    const second = nextCronValue(schedule.second, date.getUTCSeconds());
+    if (second !== date.getUTCSeconds()) {
+      date.setUTCMinutes(minute + (second === null ? 1 : 0), second ?? 0, 0);
+      continue;
+    }
+
+    return date.getTime();
+  }
+
+  return null;
+};
+
+/**
+ * Interval modes supported by TickerStream
+ * @readonly
+ * @type {string[]}
+ */
+const TICKER_MODES = ['fixed', 'exponential', 'jitter', 'cron'];
+
+/**
+ * Running tickers keyed by id, so the control route can reach them
+ * @type {Map<string, TickerStream>}
+ */
+const TICKERS = new Map();
+
+/**
+ * A readable stream that ticks on a fixed, exponential, jittered or cron schedule
+ * and can be paused, resumed or stopped while running
+ * @extends {GeneratorStream}
+ */
+class TickerStream extends GeneratorStream {
+  /**
+   * Creates a TickerStream instance
+   * @param {Object} [options={}] - Stream configuration options
+   * @param {string} [options.mode='fixed'] - Interval mode (fixed, exponential, jitter, cron)
+   * @param {number} [options.delay=1000] - Base interval in ms (clamped to MIN_DELAY-MAX_TICKER_DELAY)
+   * @param {number} [options.maxDelay=30000] - Upper bound for exponential intervals in ms
+   * @param {number} [options.factor=2] - Growth factor for exponential intervals (clamped to 1-10)
+   * @param {number} [options.jitter=0.5] - Random spread for jittered intervals, as a ratio of delay (0-1)
+   * @param {Object} [options.schedule] - Parsed cron schedule, required in cron mode
+   * @param {number} [options.maxTicks=10] - Number of ticks before the stream ends (clamped to MAX_COUNT)
+   * @param {number} [options.seed] - Seed for reproducible jitter
+   */
+  constructor(options = {}) {
+    super(options);
+    this.id = crypto.randomUUID();
+    this.mode = TICKER_MODES.includes(options.mode) ? options.mode : 'fixed';
+    this.delay = Math.max(LIMITS.MIN_DELAY, Math.min(LIMITS.MAX_TICKER_DELAY, parseInt(options.delay) || 1000));
+    this.maxDelay = Math.max(this.delay, Math.min(LIMITS.MAX_TICKER_DELAY, parseInt(options.maxDelay) || 30000));
+    this.factor = Math.max(1, Math.min(10, parseFloat(options.factor) || 2));
+    this.jitter = Math.max(0, Math.min(1, parseFloat(options.jitter ?? 0.5) || 0));
+    this.schedule = options.schedule || null;
+    this.maxTicks = Math.min(LIMITS.MAX_COUNT, Math.max(1, parseInt(options.maxTicks) || 10));
+    this.random = createRandom(
+      Number.isInteger(Number(options.seed ?? NaN)) ? Number(options.seed) >>> 0 : randomSeed(),
+    );
+    this.ticks = 0;
+    this.state = 'running';
+    this.readWhilePaused = false;
+    this.lastTickAt = Date.now();
+    this.scheduledDelay = 0;
+  }
+
+  /**
+   * Whether more ticks should be produced
+   * @returns {boolean} True until stopped or maxTicks is reached
+   * @private
+   */
+  _hasNext() {
+    return this.state !== 'stopped' && this.ticks < this.maxTicks;
+  }
+
+  /**
+   * Produce the next tick
+   * @returns {string} Tick as a JSON line
+   * @private
+   */
+  _next() {
+    this.ticks++;
+    const now = Date.now();
+    const tick = {
+      id: this.id,
+      tick: this.ticks,
+      timestamp: new Date(now).toISOString(),
+      scheduledDelay: this.scheduledDelay,
+      actualDelay: now - this.lastTickAt,
+    };
+    this.lastTickAt = now;
+    return JSON.stringify(tick) + '\n';
+  }
+
+  /**
+   * Delay before the next tick according to the interval mode
+   * @returns {number} Delay in ms
+   * @private
+   */
+  _nextDelay() {
+    switch (this.mode) {
+      case 'exponential':
+        this.scheduledDelay = Math.min(this.maxDelay, Math.round(this.delay * this.factor ** this.ticks));
+        break;
+      case 'jitter':
+        this.scheduledDelay = Math.max(
+          LIMITS.MIN_DELAY,
+          Math.round(this.delay * (1 + (this.random() * 2 - 1) * this.jitter)),
+        );
+        break;
+      case 'cron': {
+        const next = nextCronTime(this.schedule, Date.now());
+        // No tick within the lookahead window: wait one window and let _next report it
+        this.scheduledDelay = next === null ? LIMITS.CRON_LOOKAHEAD * 1000 : next - Date.now();
+        break;
+      }
+      default:
+        this.scheduledDelay = this.delay;
+    }
+    return this.scheduledDelay;
+  }
+
+  /**
+   * Internal method called when the consumer wants more data; while paused the request is kept for resumeTicks()
+   * @private
+   */
+  _read() {
+    if (this.state === 'paused') {
+      // The stream does not call _read() again until something is pushed
+      this.readWhilePaused = true;
+      return;
+    }
+    super._read();
+  }
+
+  /**
+   * Pause ticking; the pending tick is cancelled
+   * @returns {TickerStream} This stream, for chaining
+   */
+  pauseTicks() {
+    if (this.state === 'running') {
+      this.state = 'paused';
+      this._clearTimer();
+    }
+    return this;
+  }
+
+  /**
+   * Resume ticking after pauseTicks()
+   * @returns {TickerStream} This stream, for chaining
+   */
+  resumeTicks() {
+    if (this.state === 'paused') {
+      this.state = 'running';
+      this.lastTickAt = Date.now();
+
+      // While the buffer is full the stream calls _read() itself once it drains
+      if (this.readWhilePaused) {
+        this.readWhilePaused = false;
+        super._read();
+      } else if (!this._timer && this._pausedAt === null) {
+        if (this._hasNext()) {
+          this._schedule();
+        } else {
+          this._complete();
+        }
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Stop ticking and end the stream gracefully
+   * @returns {TickerStream} This stream, for chaining
+   */
+  stopTicks() {
+    if (this.state !== 'stopped') {
+      this.state = 'stopped';
+      this._clearTimer();
+      this._complete();
+    }
+    return this;
+  }
+
+  /**
+   * Get the ticker's current state
+   * @returns {Object} Ticker id, mode, state and tick counts
+   */
+  getStatus() {
+    return {
+      id: this.id,
+      mode: this.mode,
+      state: this.state,
+      ticks: this.ticks,
+      maxTicks: this.maxTicks,
+      scheduledDelay: this.scheduledDelay,
+    };
+  }
+
+  /**
+   * Total number of ticks produced from the beginning of the stream
+   * @type {number}
+   */
+  get total() {
+    return this.maxTicks;
+  }
+
+  /**
+   * Move the generator to a zero-based tick
+   * @param {number} position - Number of ticks to skip
+   * @private
+   */
+  _seek(position) {
+    this.ticks = position;
+  }
+}
+
+/**
+ * Ordering modes supported by MergeStream
+ * @readonly
+ * @type {string[]}
+ */
+const MERGE_ORDERS = ['arrival', 'round-robin', 'timestamp'];
+
+/**
+ * Factories for the generator streams that can be merged, keyed by source name.
+ * Each receives the source's own query parameters (e.g. `basic.end=5` becomes `{ end: '5' }`)
+ * and the Readable options set by the merge, and picks the same fields as the source's own route.
+ * @type {Object<string, Function>}
+ */
+const MERGE_SOURCES = {
+  basic: ({ start, end, delay }, streamOptions) => new NumberStream({ start, end, delay, ...streamOptions }),
+  data: ({ count, delay }, streamOptions) => new SimpleDataStream({ count, delay, ...streamOptions }),
+  logs: (params, streamOptions) =>
+    new SimpleLogStream({
+      maxLogs: params.maxLogs,
+      delay: params.delay,
+      ...validateLogParams(params),
+      ...streamOptions,
+    }),
+  custom: ({ text, repeat, delay }, streamOptions) => new TextRepeatStream({ text, repeat, delay, ...streamOptions }),
+};
+
+/**
+ * A readable stream that runs several generator streams concurrently and multiplexes them.
+ * Each output line is a JSON object tagged with its source name.
+ * @extends {Readable}
+ */
+class MergeStream extends Readable {
+  /**
+   * Creates a MergeStream instance
+   * @param {Object} options - Stream configuration options
+   * @param {Object<string, GeneratorStream>} options.sources - Source streams keyed by name
+   * @param {string} [options.order='arrival'] - Ordering mode (arrival, round-robin, timestamp)
+   */
+  constructor(options = {}) {
+    super();
+    this.order = MERGE_ORDERS.includes(options.order) ? options.order : 'arrival';
+    this.names = Object.keys(options.sources);
+    this.sources = options.sources;
+    this.queues = {};
+    this.ended = new Set();
+    this.turn = 0;
+    this.seq = 0;
+    this._paused = false;
+    this.backpressure = {
+      pushes: 0,
+      events: 0,
+    };
+
+    for (const name of this.names) {
+      const source = this.sources[name];
+      const generated = [];
+      this.queues[name] = [];
+
+      // 'item' fires just before each push; sources run in object mode, so data chunks match items 1:1
+      source.on('item', () => generated.push(Date.now()));
+      source.on('data', chunk => {
+        this.queues[name].push({ chunk: chunk.toString().trim(), timestamp: generated.shift(), arrival: this.seq++ });
+        this._drain();
+      });
+      source.on('end', () => {
+        this.ended.add(name);
+        this._drain();
+      });
+      source.on('error', err => this.destroy(err));
+    }
+  }
+
+  /**
+   * Internal method called when the consumer wants more data
+   * @private
+   */
+  _read() {
+    if (this._paused) {
+      this._paused = false;
+      this.names.forEach(name => this.sources[name].resume());
+    }
+    this._drain();
+  }
+
+  /**
+   * Push every item that the ordering mode allows to be released now
+   * @private
+   */
+  _drain() {
+    if (this._paused || this.destroyed) return;
+
+    let next;
+    while ((next = this._pick())) {
+      const { name, chunk, timestamp } = next;
+      this.backpressure.pushes++;
+      const line = JSON.stringify({ source: name, timestamp: new Date(timestamp).toISOString(), data: chunk });
+
+      if (!this.push(line + '\n')) {
+        this.backpressure.events++;
+        this._paused = true;
+        this.names.forEach(sourceName => this.sources[sourceName].pause());
+        return;
+      }
+    }
+
+    if (this.ended.size === this.names.length && this.names.every(name => this.queues[name].length === 0)) {
+      this.push(null);
+    }
+  }
+
+  /**
+   * Take the next item according to the ordering mode
+   * @returns {Object|null} Item with its source name, or null when nothing can be released yet
+   * @private
+   */
+  _pick() {
+    const heads = this.names.filter(name => this.queues[name].length > 0);
+    if (heads.length === 0) return null;
+
+    let name;
+
+    if (this.order === 'round-robin') {
+      // Wait for the source whose turn it is, skipping sources that are finished
+      for (let i = 0; i < this.names.length; i++) {
+        const candidate = this.names[(this.turn + i) % this.names.length];
+        if (this.queues[candidate].length > 0) {
+          name = candidate;
+          this.turn = (this.names.indexOf(candidate) + 1) % this.names.length;
+          break;
+        }
+        if (!this.ended.has(candidate)) return null;
+      }
+    } else if (this.order === 'timestamp') {
+      // An item is only safe to release once every live source has something queued to compare with
+      if (this.names.some(candidate => this.queues[candidate].length === 0 && !this.ended.has(candidate))) {
+        return null;
+      }
+      name = heads.reduce((a, b) => (this.queues[b][0].timestamp < this.queues[a][0].timestamp ? b : a));
+    } else {
+      name = heads.reduce((a, b) => (this.queues[b][0].arrival < this.queues[a][0].arrival ? b : a));
+    }
+
+    return name ? { name, ...this.queues[name].shift() } : null;
+  }
+
+  /**
+   * Get backpressure statistics for the merged output and every source
+   * @returns {Object} Merged stream stats and per-source stats
+   */
+  getBackpressureStats() {
+    const sources = {};
+    for (const name of this.names) {
+      sources[name] = this.sources[name].getBackpressureStats();
+    }
+    return { ...this.backpressure, order: this.order, sources };
+  }
+
+  /**
+   * Cleanup method called when stream is destroyed; stops every source
+   * @param {Error|null} err - Error that caused destruction, if any
+   * @param {Function} callback - Callback to call when cleanup is complete
+   * @private
+   */
+  _destroy(err, callback) {
+    this.names.forEach(name => this.sources[name].destroy());
+    callback(err);
+  }
+}
+
+/**
+ * A transform stream that wraps newline-delimited items as Server-Sent Events frames
+ * @extends {Transform}
+ */
+class SSEStream extends Transform {
+  /**
+   * Creates an SSEStream instance
+   * @param {Object} [options={}] - Stream configuration options
+   * @param {string|Function} [options.event='message'] - Event name, or a function mapping an item to its event name
+   * @param {number} [options.lastEventId=0] - Last id seen by the client; numbering continues after it
+   * @param {number} [options.heartbeatInterval=15000] - Interval between heartbeat comments in ms
+   * @param {Function} [options.summary] - Returns extra fields to include in the final `end` event
+   */
+  constructor(options = {}) {
+    super();
+    this.event = options.event || 'message';
+    this.id = Math.max(0, parseInt(options.lastEventId) || 0);
+    this.heartbeatInterval = options.heartbeatInterval || LIMITS.SSE_HEARTBEAT_INTERVAL;
+    this.summary = options.summary || (() => ({}));
+    this.buffer = '';
+    this._heartbeat = null;
+
+    this.push(`retry: ${LIMITS.SSE_RETRY}\n\n`);
+    this._heartbeat = setInterval(() => this.push(': heartbeat\n\n'), this.heartbeatInterval);
+  }
+
+  /**
+   * Internal method to frame each complete line as an SSE event
+   * @param {Buffer|string} chunk - Data chunk to transform
+   * @param {string} encoding - Text encoding if chunk is string
+   * @param {Function} callback - Callback to call when transform is complete
+   * @private
+   */
+  _transform(chunk, encoding, callback) {
+    this.buffer += chunk.toString();
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop() || '';
+
+    lines.forEach(line => {
+      if (line.trim()) {
+        this._pushEvent(line);
+      }
+    });
+
+    callback();
+  }
+
+  /**
+   * Called when the source has ended; frames any leftover data and sends an `end` event
+   * @param {Function} callback - Callback to call when finalization is complete
+   * @private
+   */
+  _flush(callback) {
+    if (this.buffer.trim()) {
+      this._pushEvent(this.buffer);
+    }
+    this._stopHeartbeat();
+    this.push(`event: end\ndata: ${JSON.stringify({ lastEventId: this.id, ...this.summary() })}\n\n`);
+    callback();
+  }
+
+  /**
+   * Push a single SSE frame with an incrementing id
+   * @param {string} line - Item payload
+   * @private
+   */
+  _pushEvent(line) {
+    this.id++;
+    const event = typeof this.event === 'function' ? this.event(line) : this.event;
+    this.push(`id: ${this.id}\nevent: ${event}\ndata: ${line}\n\n`);
+  }
+
+  /**
+   * Stop the heartbeat timer
+   * @private
+   */
+  _stopHeartbeat() {
+    if (this._heartbeat) {
+      clearInterval(this._heartbeat);
+      this._heartbeat = null;
+    }
+  }
+
+  /**
+   * Cleanup method called when stream is destroyed
+   * @param {Error|null} err - Error that caused destruction, if any
+   * @param {Function} callback - Callback to call when cleanup is complete
+   * @private
+   */
+  _destroy(err, callback) {
+    this._stopHeartbeat();
+    callback(err);
+  }
+}
+
+/**
+ * Checks whether the client asked for a Server-Sent Events response
+ * @param {Object} request - Fastify request object
+ * @returns {boolean} True when the Accept header includes text/event-stream
+ */
+const wantsEventStream = request => (request.headers.accept || '').includes('text/event-stream');
+
+/**
+ * Reads Readable buffer settings from the query
+ * @param {Object} query - Request query parameters
+ * @param {string} [query.highWaterMark] - Buffer size in bytes, or items in object mode (clamped to 0-MAX_HIGH_WATER_MARK)
+ * @param {string} [query.objectMode] - "true" to count the buffer in items instead of bytes
+ * @returns {Object} Options to spread into a generator stream constructor
+ */
+const getStreamOptions = query => {
+  const options = { objectMode: query.objectMode === 'true' };
+  const highWaterMark = parseInt(query.highWaterMark);
+
+  if (!isNaN(highWaterMark)) {
+    options.highWaterMark = Math.max(0, Math.min(LIMITS.MAX_HIGH_WATER_MARK, highWaterMark));
+  }
+
+  return options;
+};
+
+/**
+ * Resolves where a reconnecting client wants the stream to continue.
+ * Sources, in priority order: `Range: items=N-`, `?resumeFrom=N`, and `Last-Event-ID` in SSE mode.
+ * @param {Object} request - Fastify request object
+ * @param {number} total - Total number of items the stream produces
+ * @returns {{cursor: number, ranged: boolean}} Zero-based position to resume from and whether a Range header was used
+ * @throws {CustomError} 400 for a malformed cursor, 416 for a cursor outside the stream or a Range on an empty stream
+ */
+const resolveCursor = (request, total) => {
+  const range = request.headers.range;
+  let raw;
+
+  if (range) {
+    const match = /^items=(\d+)-$/.exec(range.trim());
+    if (!match) {
+      throw new CustomError('Invalid Range header. Expected format: items=<cursor>-', 400);
+    }
+    raw = match[1];
+  } else if (request.query.resumeFrom !== undefined) {
+    raw = request.query.resumeFrom;
+  } else if (wantsEventStream(request) && request.headers['last-event-id']) {
+    raw = request.headers['last-event-id'];
+  } else {
+    return { cursor: 0, ranged: false };
+  }
+
+  if (!/^\d+$/.test(String(raw).trim())) {
+    throw new CustomError('Cursor must be a non-negative integer', 400);
+  }
+
+  // A Range must select at least one item; a plain resume may land right after the last one
+  const cursor = parseInt(raw);
+  const max = range ? total - 1 : total;
+  if (range && total === 0) {
+    throw new CustomError('Range cannot be satisfied. Stream has no items', 416);
+  }
+  if (cursor > 0 && cursor > max) {
+    throw new CustomError(`Cursor ${cursor} is out of range. Stream has ${total} items (valid: 0-${max})`, 416);
+  }
+
+  return { cursor, ranged: Boolean(range) };
+};
+
+/**
+ * Sends a readable stream either as-is or wrapped as Server-Sent Events.
+ * The stream is moved to the requested cursor first and the position is reported in the headers.
+ * Backpressure statistics are reported in an `X-Stream-Backpressure` trailer, or in the SSE `end` event.
+ * @param {Object} request - Fastify request object
+ * @param {Object} reply - Fastify reply object
+ * @param {GeneratorStream|MergeStream} stream - Source stream emitting one item per line
+ * @param {Object} options - Response options
+ * @param {string} options.type - Content type used for the plain response
+ * @param {string|Function} options.event - SSE event name or mapper, see {@link SSEStream}
+ * @param {boolean} [options.eventStream] - Force SSE on or off; defaults to the Accept header
+ * @returns {Object} Fastify reply with stream
+ */
+const sendReadable = (request, reply, stream, { type, event, eventStream = wantsEventStream(request) }) => {
+  let cursor = 0;
+
+  // Streams without a deterministic order (e.g. MergeStream) cannot be resumed and always start fresh
+  if (typeof stream.seek === 'function') {
+    const { total } = stream;
+    const resolved = resolveCursor(request, total);
+    cursor = resolved.cursor;
+    stream.seek(cursor);
+
+    reply.headers({
+      'accept-ranges': 'items',
+      'x-stream-cursor': cursor,
+      'x-stream-total': total,
+    });
+
+    if (resolved.ranged) {
+      reply.code(206).header('content-range', `items ${cursor}-${Math.max(cursor, total - 1)}/${total}`);
+    }
+  }
+
+  if (!eventStream) {
+    reply.type(type);
+    // Added on 'end' before Fastify pipes the stream, so the trailer is written ahead of res.end().
+    // reply.trailer() resolves asynchronously and loses that race for stream payloads.
+    reply.header('trailer', 'x-stream-backpressure');
+    stream.once('end', () => {
+      reply.raw.addTrailers({ 'x-stream-backpressure': JSON.stringify(stream.getBackpressureStats()) });
+    });
+    return reply.send(stream);
+  }
+
+  const sse = new SSEStream({
+    event,
+    lastEventId: cursor,
+    summary: () => ({ backpressure: stream.getBackpressureStats() }),
+  });
+
+  reply.headers({
+    'content-type': 'text/event-stream; charset=utf-8',
+    'cache-control': 'no-cache',
+    'x-accel-buffering': 'no',
+  });
+
+  // Errors are forwarded to the SSE stream, which Fastify handles
+  pipeline(stream, sse, () => {});
+  return reply.send(sse);
+};
+
+/**
+ * Fastify route handler for basic number stream
+ * Streams sequential numbers with configurable start, end, and delay.
+ * With `Accept: text/event-stream` each number is sent as a `number` event.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} request.query - Query parameters
+ * @param {string} [request.query.start="1"] - Starting number
+ * @param {string} [request.query.end="10"] - Ending number
+ * @param {string} [request.query.delay="500"] - Delay between numbers in ms
+ * @param {string} [request.query.highWaterMark] - Readable buffer size, see {@link getStreamOptions}
+ * @param {string} [request.query.objectMode="false"] - Count the buffer in items instead of bytes
+ * @param {string} [request.query.resumeFrom="0"] - Number of items already received, see {@link resolveCursor}
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Fastify reply with stream
+ * @example
+ * // GET /api/v1/readable/basic?start=1&end=5&delay=1000
+ * // Response: "1\n2\n3\n4\n5\n" (with 1 second delays)
+ * @example
+ * // GET /api/v1/readable/basic?start=1&end=5&resumeFrom=3
+ * // Response headers: X-Stream-Cursor: 3, X-Stream-Total: 5
+ * // Response: "4\n5\n"
+ */
+const basicReadable = async (request, reply) => {
+  const { start, end, delay } = request.query;
+
+  const stream = new NumberStream({ start, end, delay, ...getStreamOptions(request.query) });
+  return sendReadable(request, reply, stream, { type: 'text/plain', event: 'number' });
+};
+
+/**
+ * Fastify route handler for JSON data stream
+ * Streams JSON objects with id, name, and random values.
+ * With `Accept: text/event-stream` each object is sent as an `item` event.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} request.query - Query parameters
+ * @param {string} [request.query.count="10"] - Number of items to stream
+ * @param {string} [request.query.delay="300"] - Delay between items in ms
+ * @param {string} [request.query.highWaterMark] - Readable buffer size, see {@link getStreamOptions}
+ * @param {string} [request.query.objectMode="false"] - Count the buffer in items instead of bytes
+ * @param {string} [request.query.resumeFrom="0"] - Number of items already received, see {@link resolveCursor}
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Fastify reply with JSON stream
+ * @example
+ * // GET /api/v1/readable/data?count=3&delay=500
+ * // Response: {"id":1,"name":"Item 1","value":42}\n{"id":2,"name":"Item 2","value":87}\n...
+ * @example
+ * // GET /api/v1/readable/data?count=3 with header "Range: items=2-"
+ * // Response: 206, Content-Range: items 2-2/3, body: {"id":3,"name":"Item 3","value":12}\n
+ */
+const dataReadable = async (request, reply) => {
+  const { count, delay } = request.query;
+  const stream = new SimpleDataStream({ count, delay, ...getStreamOptions(request.query) });
+  return sendReadable(request, reply, stream, { type: 'application/json', event: 'item' });
+};
+
+/**
+ * Validates log stream query parameters
+ * @param {Object} query - Request query parameters
+ * @returns {Object} Normalized SimpleLogStream options
+ * @throws {CustomError} 400 for an unknown format, level or service
+ */
+const validateLogParams = query => {
+  const list = value =>
+    String(value || '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean);
+
+  const format = query.format || 'simple';
+  if (!LOG_FORMATS[format]) {
+    throw new CustomError(`Unknown log format "${format}". Supported: ${Object.keys(LOG_FORMATS).join(', ')}`, 400);
+  }
+
+  const levels = list(query.levels).map(level => level.toLowerCase());
+  const unknownLevel = levels.find(level => !LOG_LEVELS[level]);
+  if (unknownLevel) {
+    throw new CustomError(`Unknown log level "${unknownLevel}". Supported: ${Object.keys(LOG_LEVELS).join(', ')}`, 400);
+  }
+
+  const services = list(query.services);
+  const unknownService = services.find(service => !LOG_SAMPLES.services.includes(service));
+  if (unknownService) {
+    throw new CustomError(`Unknown service "${unknownService}". Supported: ${LOG_SAMPLES.services.join(', ')}`, 400);
+  }
+
+  return {
+    format,
+    levels,
+    services,
+    burstEvery: query.burstEvery,
+    burstLength: query.burstLength,
+    seed: query.seed,
+  };
 };
 
 /**
  * Fastify route handler for log stream
- * Streams formatted log entries with timestamps and random log levels
+ * Streams log entries in a simple, combined (Apache/Nginx), syslog (RFC5424), json (pino) or logfmt format.
+ * With `Accept: text/event-stream` each entry is sent as a `log.debug`, `log.info`, `log.warn` or `log.error` event.
+ * The seed used is returned in `X-Dataset-Seed`; the same seed reproduces every field except timestamps.
  * @async
  * @param {Object} request - Fastify request object
  * @param {Object} request.query - Query parameters
  * @param {string} [request.query.maxLogs="10"] - Maximum number of log entries
  * @param {string} [request.query.delay="400"] - Delay between log entries in ms
+ * @param {string} [request.query.highWaterMark] - Readable buffer size, see {@link getStreamOptions}
+ * @param {string} [request.query.objectMode="false"] - Count the buffer in items instead of bytes
+ * @param {string} [request.query.format="simple"] - Output format (simple, combined, syslog, json, logfmt)
+ * @param {string} [request.query.levels="info,warn,error"] - Comma-separated levels to emit (debug, info, warn, error)
+ * @param {string} [request.query.services] - Comma-separated services to emit (api, auth, billing, worker)
+ * @param {string} [request.query.burstEvery="0"] - Regular entries between error bursts (0 disables bursts)
+ * @param {string} [request.query.burstLength="5"] - Consecutive error entries per burst
+ * @param {string} [request.query.seed] - Seed for reproducible entries
  * @param {Object} reply - Fastify reply object
  * @returns {Promise<Object>} Fastify reply with log stream
  * @example
  * // GET /api/v1/readable/logs?maxLogs=2&delay=1000
  * // Response: "[14:30:15] INFO: Log entry 1\n[14:30:16] ERROR: Log entry 2\n"
+ * @example
+ * // GET /api/v1/readable/logs?format=logfmt&services=auth&burstEvery=20&burstLength=3&seed=7
+ * // Response: "time=2025-01-01T12:00:00.000Z level=info service=auth request_id=3f9a0c12 duration_ms=87 msg=\"User logged in\"\n..."
  */
 const logReadable = async (request, reply) => {
-  reply.type('text/plain');
   const { maxLogs, delay } = request.query;
 
-  const stream = new SimpleLogStream({ maxLogs, delay });
-  return reply.send(stream);
+  const stream = new SimpleLogStream({
+    maxLogs,
+    delay,
+    ...validateLogParams(request.query),
+    ...getStreamOptions(request.query),
+  });
+
+  reply.header('x-dataset-seed', stream.seed);
+
+  return sendReadable(request, reply, stream, {
+    type: stream.format === 'json' ? 'application/x-ndjson' : 'text/plain',
+    // Prefixed so an `error` entry does not collide with EventSource's own error event
+    event: () => `log.${stream.nextLevel()}`,
+  });
 };
 
 /**
  * Fastify route handler for custom text stream
- * Streams custom text with configurable repetition and delay
+ * Streams custom text with configurable repetition and delay.
+ * With `Accept: text/event-stream` each repetition is sent as a `text` event.
  * @async
  * @param {Object} request - Fastify request object
  * @param {Object} request.query - Query parameters
  * @param {string} [request.query.text="Hello"] - Custom text to repeat
  * @param {string} [request.query.repeat="5"] - Number of repetitions
  * @param {string} [request.query.delay="1000"] - Delay between repetitions in ms
+ * @param {string} [request.query.highWaterMark] - Readable buffer size, see {@link getStreamOptions}
+ * @param {string} [request.query.objectMode="false"] - Count the buffer in items instead of bytes
  * @param {Object} reply - Fastify reply object
  * @returns {Promise<Object>} Fastify reply with text stream
  * @example
@@ -364,34 +1910,394 @@ const logReadable = async (request, reply) => {
  * // Response: "World 1\nWorld 2\nWorld 3\n" (with 500ms delays)
  */
 const textReadable = async (request, reply) => {
-  reply.type('text/plain');
-
-  let { text, repeat, delay } = request.query;
-
-  // Validate and sanitize inputs
-  const sanitizedText = String(text || 'Hello').substring(0, LIMITS.MAX_TEXT_LENGTH);
-  const sanitizedRepeat = Math.min(Math.max(parseInt(repeat) || 5, 1), LIMITS.MAX_REPEAT);
-  const sanitizedDelay = Math.max(Math.min(parseInt(delay) || 1000, LIMITS.MAX_DELAY), LIMITS.MIN_DELAY);
-  text = sanitizedText;
-  repeat = sanitizedRepeat;
-  delay = sanitizedDelay;
-
-  let count = 0;
-
-  const stream = new Readable({
-    read() {
-      if (count < repeat) {
-        setTimeout(() => {
-          this.push(`${text} ${count + 1}\n`);
-          count++;
-        }, delay);
-      } else {
-        this.push(null);
+  const { text, repeat, delay } = request.query;
+
+  const stream = new TextRepeatStream({ text, repeat, delay, ...getStreamOptions(request.query) });
+  return sendReadable(request, reply, stream, { type: 'text/plain', event: 'text' });
+};
+
+/**
+ * Fastify route handler for schema-driven synthetic data stream
+ * Streams fake records generated from a posted schema as JSONL, CSV or NDJSON-over-SSE.
+ * The same seed always produces the same records; the seed used is returned in `X-Dataset-Seed`.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} request.body - Dataset definition
+ * @param {Object[]} request.body.fields - Field definitions, see {@link validateSchema}
+ * @param {number} [request.body.count=10] - Number of records to generate, at least 1 (clamped to MAX_RECORDS)
+ * @param {number} [request.body.seed] - Seed for reproducible output
+ * @param {string} [request.body.format='jsonl'] - Output format (jsonl, csv, sse)
+ * @param {number} [request.body.delay=0] - Delay between records in ms
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Fastify reply with record stream
+ * @throws {CustomError} 400 for invalid schemas, formats or counts
+ * @example
+ * // POST /api/v1/readable/synthetic
+ * // Body: { "count": 2, "seed": 42, "fields": [
+ * //   { "name": "id", "type": "sequence" },
+ * //   { "name": "status", "type": "enum", "values": ["active", "inactive"], "nullable": 0.1 },
+ * //   { "name": "amount", "type": "number", "min": 0, "max": 500 } ] }
+ * // Response: {"id":1,"status":"active","amount":213.57}\n{"id":2,"status":null,"amount":48.1}\n
+ */
+const syntheticReadable = async (request, reply) => {
+  const { fields, count, seed, format, delay } = request.body || {};
+
+  if (format !== undefined && !['jsonl', 'csv', 'sse'].includes(format)) {
+    throw new CustomError('Format must be one of: jsonl, csv, sse', 400);
+  }
+  if (count !== undefined && !(Number.isInteger(Number(count)) && Number(count) >= 1)) {
+    throw new CustomError('Count must be a positive integer', 400);
+  }
+
+  const stream = new SyntheticDataStream({
+    fields: validateSchema(fields),
+    count,
+    seed,
+    format,
+    delay,
+    ...getStreamOptions(request.query),
+  });
+
+  reply.header('x-dataset-seed', stream.seed);
+
+  return sendReadable(request, reply, stream, {
+    type: format === 'csv' ? 'text/csv' : 'application/x-ndjson',
+    event: 'record',
+    eventStream: format === 'sse' || (format === undefined && wantsEventStream(request)),
+  });
+};
+
+/**
+ * Fastify route handler for merged readable streams
+ * Runs several of the readable generators concurrently and multiplexes them into one JSONL stream.
+ * Each source takes its own parameters prefixed with its name, e.g. `basic.end=5&logs.format=json`.
+ * With `Accept: text/event-stream` each item is sent as an event named after its source.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} request.query - Query parameters
+ * @param {string} [request.query.sources="basic,logs"] - Comma-separated sources (basic, data, logs, custom)
+ * @param {string} [request.query.order="arrival"] - Ordering mode (arrival, round-robin, timestamp)
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Fastify reply with merged stream
+ * @throws {CustomError} 400 for unknown sources or ordering modes
+ * @example
+ * // GET /api/v1/readable/merge?sources=basic,logs&order=round-robin&basic.end=2&logs.maxLogs=2
+ * // Response: {"source":"basic","timestamp":"...","data":"1"}\n{"source":"logs","timestamp":"...","data":"[..] INFO: Log entry 1"}\n...
+ */
+const mergeReadable = async (request, reply) => {
+  const { query } = request;
+  const order = query.order || 'arrival';
+
+  if (!MERGE_ORDERS.includes(order)) {
+    throw new CustomError(`Unknown order "${order}". Supported: ${MERGE_ORDERS.join(', ')}`, 400);
+  }
+
+  const names = [
+    ...new Set(
+      String(query.sources || 'basic,logs')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean),
+    ),
+  ];
+
+  if (names.length === 0 || names.length > LIMITS.MAX_MERGE_SOURCES) {
+    throw new CustomError(`Provide between 1 and ${LIMITS.MAX_MERGE_SOURCES} sources`, 400);
+  }
+
+  const unknown = names.find(name => !MERGE_SOURCES[name]);
+  if (unknown) {
+    throw new CustomError(`Unknown source "${unknown}". Supported: ${Object.keys(MERGE_SOURCES).join(', ')}`, 400);
+  }
+
+  const sources = {};
+  for (const name of names) {
+    const params = {};
+    for (const key of Object.keys(query)) {
+      if (key.startsWith(`${name}.`)) {
+        params[key.slice(name.length + 1)] = query[key];
       }
-    },
+    }
+    // Object mode keeps one generated item per chunk, which the merge relies on
+    sources[name] = MERGE_SOURCES[name](params, { objectMode: true });
+  }
+
+  const stream = new MergeStream({ sources, order });
+
+  return sendReadable(request, reply, stream, {
+    type: 'application/x-ndjson',
+    event: line => JSON.parse(line).source,
+  });
+};
+
+/**
+ * Fastify route handler for ticker stream
+ * Streams JSON ticks on a fixed, exponential, jittered or cron schedule.
+ * The ticker id is returned in `X-Ticker-Id` and accepted by the control route.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} request.query - Query parameters
+ * @param {string} [request.query.mode="fixed"] - Interval mode (fixed, exponential, jitter, cron)
+ * @param {string} [request.query.delay="1000"] - Base interval in ms
+ * @param {string} [request.query.maxDelay="30000"] - Upper bound for exponential intervals in ms
+ * @param {string} [request.query.factor="2"] - Growth factor for exponential intervals
+ * @param {string} [request.query.jitter="0.5"] - Random spread for jittered intervals (0-1)
+ * @param {string} [request.query.cron] - Cron expression (5 or 6 fields, UTC), required in cron mode
+ * @param {string} [request.query.maxTicks="10"] - Number of ticks before the stream ends
+ * @param {string} [request.query.seed] - Seed for reproducible jitter
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Fastify reply with tick stream
+ * @throws {CustomError} 400 for an unknown mode or bad cron expression, 429 when too many tickers run
+ * @example
+ * // GET /api/v1/readable/ticker?mode=cron&cron=*\/2 * * * * *&maxTicks=3
+ * // Response: {"id":"…","tick":1,"timestamp":"…:02.000Z","scheduledDelay":1340,"actualDelay":1341}\n...
+ */
+const tickerReadable = async (request, reply) => {
+  const { query } = request;
+  const mode = query.mode || 'fixed';
+
+  if (!TICKER_MODES.includes(mode)) {
+    throw new CustomError(`Unknown mode "${mode}". Supported: ${TICKER_MODES.join(', ')}`, 400);
+  }
+  if (TICKERS.size >= LIMITS.MAX_TICKERS) {
+    throw new CustomError('Too many tickers are running. Stop one and try again', 429);
+  }
+
+  let schedule = null;
+  if (mode === 'cron') {
+    schedule = parseCron(query.cron);
+    if (nextCronTime(schedule, Date.now()) === null) {
+      throw new CustomError('Cron expression does not fire within the next 24 hours', 400);
+    }
+  }
+
+  const { delay, maxDelay, factor, jitter, maxTicks, seed } = query;
+  const stream = new TickerStream({
+    mode,
+    delay,
+    maxDelay,
+    factor,
+    jitter,
+    maxTicks,
+    seed,
+    schedule,
+    ...getStreamOptions(query),
+  });
+  reply.header('x-ticker-id', stream.id);
+
+  // Registered only once the cursor is accepted: a rejected stream is never consumed, so it would never close
+  const sent = sendReadable(request, reply, stream, { type: 'application/x-ndjson', event: 'tick' });
+  TICKERS.set(stream.id, stream);
+  stream.once('close', () => TICKERS.delete(stream.id));
+
+  return sent;
+};
+
+/**
+ * Fastify route handler for ticker control
+ * Pauses, resumes or stops a running ticker
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} request.params - Route parameters
+ * @param {string} request.params.id - Ticker id from `X-Ticker-Id`
+ * @param {Object} request.body - Request body
+ * @param {string} request.body.action - Control action (pause, resume, stop)
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Ticker status after the action
+ * @throws {CustomError} 404 for an unknown ticker, 400 for an unknown action
+ * @example
+ * // POST /api/v1/readable/ticker/1b4e28ba-2fa1-11d2-883f-0016d3cca427
+ * // Body: { "action": "pause" }
+ * // Response: { success: true, message: "Ticker paused", results: { id, mode, state: "paused", ticks: 3, ... } }
+ */
+const controlTicker = async (request, reply) => {
+  const ticker = TICKERS.get(request.params.id);
+  if (!ticker) {
+    throw new CustomError('Ticker not found', 404);
+  }
+
+  const actions = {
+    pause: () => ticker.pauseTicks(),
+    resume: () => ticker.resumeTicks(),
+    stop: () => ticker.stopTicks(),
+  };
+
+  const { action } = request.body || {};
+  if (!actions[action]) {
+    throw new CustomError(`Unknown action "${action}". Supported: ${Object.keys(actions).join(', ')}`, 400);
+  }
+
+  actions[action]();
+
+  return reply.send({
+    success: true,
+    message: `Ticker ${ticker.state}`,
+    results: ticker.getStatus(),
+  });
+};
+
+/**
+ * Fastify route handler for binary frame stream
+ * Streams length-prefixed binary frames as application/octet-stream, see {@link BinaryFrameStream}.
+ * Frame layout and settings are described in the `X-Frame-*` response headers.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} request.query - Query parameters
+ * @param {string} [request.query.frames="10"] - Number of frames
+ * @param {string} [request.query.length="16"] - Elements per frame
+ * @param {string} [request.query.elementType="uint8"] - Element type (uint8, int8, uint16, int16, uint32, int32, float32, float64)
+ * @param {string} [request.query.pattern="random"] - Payload pattern (random, zeros, sequence, sine)
+ * @param {string} [request.query.crc="false"] - Append a CRC32 to each frame
+ * @param {string} [request.query.delay="100"] - Delay between frames in ms
+ * @param {string} [request.query.seed] - Seed for reproducible random payloads
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Fastify reply with binary stream
+ * @throws {CustomError} 400 for an unknown element type or pattern
+ * @example
+ * // GET /api/v1/readable/binary?frames=2&length=4&pattern=sequence&crc=true
+ * // Response: 00 00 00 04 | 00 01 02 03 | <crc32> , 00 00 00 04 | 04 05 06 07 | <crc32>
+ */
+const binaryReadable = async (request, reply) => {
+  const { query } = request;
+
+  if (query.elementType !== undefined && !ELEMENT_TYPES[query.elementType]) {
+    throw new CustomError(
+      `Unknown element type "${query.elementType}". Supported: ${Object.keys(ELEMENT_TYPES).join(', ')}`,
+      400,
+    );
+  }
+  if (query.pattern !== undefined && !BINARY_PATTERNS[query.pattern]) {
+    throw new CustomError(
+      `Unknown pattern "${query.pattern}". Supported: ${Object.keys(BINARY_PATTERNS).join(', ')}`,
+      400,
+    );
+  }
+
+  const { frames, length, elementType, pattern, crc, delay, seed } = query;
+  const stream = new BinaryFrameStream({
+    frames,
+    length,
+    elementType,
+    pattern,
+    crc,
+    delay,
+    seed,
+    ...getStreamOptions(query),
+  });
+
+  reply.headers({
+    'x-dataset-seed': stream.seed,
+    'x-frame-count': stream.frames,
+    'x-frame-element-type': stream.elementType,
+    'x-frame-payload-bytes': stream.length * ELEMENT_TYPES[stream.elementType].BYTES_PER_ELEMENT,
+    'x-frame-crc': stream.crc,
+  });
+
+  // Binary frames cannot be carried in SSE text frames
+  return sendReadable(request, reply, stream, { type: 'application/octet-stream', eventStream: false });
+};
+
+/**
+ * Parses a single-range `Range: bytes=...` header
+ * @param {string} header - Range header value
+ * @param {number} size - File size in bytes
+ * @returns {{start: number, end: number}|null} Inclusive byte range, or null to serve the whole file
+ * @throws {CustomError} 416 when the range cannot be satisfied
+ */
+const parseByteRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+
+  // Multiple or non-byte ranges are allowed to be ignored (RFC 9110 14.2)
+  if (!match || (!match[1] && !match[2])) return null;
+
+  let start;
+  let end;
+
+  if (!match[1]) {
+    // Suffix range: last N bytes
+    start = Math.max(0, size - parseInt(match[2]));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] ? Math.min(parseInt(match[2]), size - 1) : size - 1;
+  }
+
+  if (start >= size || start > end) {
+    throw new CustomError(`Range not satisfiable. File is ${size} bytes`, 416);
+  }
+
+  return { start, end };
+};
+
+/**
+ * Fastify route handler for sandboxed file stream
+ * Streams a file from the sandbox directory with fs.createReadStream.
+ * Supports single byte ranges (206), ETag/If-None-Match (304) and extension-based content types.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} request.params - Route parameters
+ * @param {string} request.params.name - File name inside the sandbox directory
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Fastify reply with file stream
+ * @throws {CustomError} 403 for paths outside the sandbox, 404 for missing files, 416 for bad ranges
+ * @example
+ * // GET /api/v1/readable/file/sample.txt with header "Range: bytes=0-26"
+ * // Response: 206, Content-Range: bytes 0-26/421, body: "Node.js streams sample file"
+ */
+const fileReadable = async (request, reply) => {
+  const filePath = resolveSandboxPath(FILES_DIR, request.params.name);
+
+  let realPath;
+  let stats;
+  try {
+    realPath = await fsPromises.realpath(filePath);
+    stats = await fsPromises.stat(realPath);
+  } catch (error) {
+    throw new CustomError('File not found', 404);
+  }
+
+  // Symlinks must not lead out of the sandbox either
+  if (!isInside(await fsPromises.realpath(FILES_DIR), realPath)) {
+    throw new CustomError('Access outside the sandbox directory is not allowed', 403);
+  }
+  if (!stats.isFile()) {
+    throw new CustomError('File not found', 404);
+  }
+
+  const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+  reply.headers({
+    'accept-ranges': 'bytes',
+    'etag': etag,
+    'last-modified': stats.mtime.toUTCString(),
   });
 
-  return reply.send(stream);
+  const ifNoneMatch = request.headers['if-none-match'];
+  if (ifNoneMatch && ifNoneMatch.split(',').some(tag => [etag, `W/${etag}`, '*'].includes(tag.trim()))) {
+    return reply.code(304).send();
+  }
+
+  reply.type(MIME_TYPES[path.extname(realPath).toLowerCase()] || 'application/octet-stream');
+
+  let range = null;
+  if (request.headers.range) {
+    try {
+      range = parseByteRange(request.headers.range, stats.size);
+    } catch (error) {
+      reply.header('content-range', `bytes */${stats.size}`);
+      throw error;
+    }
+  }
+
+  if (!range) {
+    reply.header('content-length', stats.size);
+    return reply.send(fs.createReadStream(realPath));
+  }
+
+  reply.code(206).headers({
+    'content-range': `bytes ${range.start}-${range.end}/${stats.size}`,
+    'content-length': range.end - range.start + 1,
+  });
+  return reply.send(fs.createReadStream(realPath, range));
 };
 
 module.exports = {
@@ -399,4 +2305,10 @@ module.exports = {
   dataReadable,
   logReadable,
   textReadable,
+  syntheticReadable,
+  fileReadable,
+  mergeReadable,
+  tickerReadable,
+  controlTicker,
+  binaryReadable,
 };
@@ -17,6 +17,62 @@ const LIMITS = {
   MAX_FILTER_COUNT: 500,
 };
 
+/**
+ * Converts the case of a text
+ * @param {string} text - Text to transform
+ * @param {string} mode - Transform mode (upper, lower, title, camel, reverse)
+ * @returns {string} Transformed text, unchanged for unknown modes
+ */
+const transformCase = (text, mode) => {
+  switch (mode) {
+    case 'upper':
+      return text.toUpperCase();
+    case 'lower':
+      return text.toLowerCase();
+    case 'title':
+      return text.replace(/\w\S*/g, txt => txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase());
+    case 'camel':
+      return text
+        .replace(/(?:^\w|[A-Z]|\b\w)/g, (word, index) => (index === 0 ? word.toLowerCase() : word.toUpperCase()))
+        .replace(/\s+/g, '');
+    case 'reverse':
+      return text.split('').reverse().join('');
+    default:
+      return text;
+  }
+};
+
+/**
+ * Encodes or decodes a line
+ * @param {string} line - Line to transform
+ * @param {string} encoding - Encoding type (base64, hex, url, json)
+ * @param {string} direction - encode or decode
+ * @returns {string} Transformed line, unchanged for blank lines and unknown encodings
+ * @throws {Error} When decoding malformed url or json input
+ */
+const transformEncoding = (line, encoding, direction) => {
+  if (!line.trim()) return line;
+
+  switch (encoding) {
+    case 'base64':
+      return direction === 'encode'
+        ? Buffer.from(line).toString('base64')
+        : Buffer.from(line, 'base64').toString('utf8');
+
+    case 'hex':
+      return direction === 'encode' ? Buffer.from(line).toString('hex') : Buffer.from(line, 'hex').toString('utf8');
+
+    case 'url':
+      return direction === 'encode' ? encodeURIComponent(line) : decodeURIComponent(line);
+
+    case 'json':
+      return direction === 'encode' ? JSON.stringify(line) : JSON.parse(line);
+
+    default:
+      return line;
+  }
+};
+
 /**
  * A transform stream that converts text case
  * @extends {Transform}
@@ -88,22 +144,7 @@ class CaseTransform extends Transform {
    * @private
    */
   _transformText(text) {
-    switch (this.mode) {
-      case 'upper':
-        return text.toUpperCase();
-      case 'lower':
-        return text.toLowerCase();
-      case 'title':
-        return text.replace(/\w\S*/g, txt => txt.charAt(0).toUpperCase() + txt.substr(1).toLowerCase());
-      case 'camel':
-        return text
-          .replace(/(?:^\w|[A-Z]|\b\w)/g, (word, index) => (index === 0 ? word.toLowerCase() : word.toUpperCase()))
-          .replace(/\s+/g, '');
-      case 'reverse':
-        return text.split('').reverse().join('');
-      default:
-        return text;
-    }
+    return transformCase(text, this.mode);
   }
 }
 
@@ -380,28 +421,7 @@ class EncodingTransform extends Transform {
    * @private
    */
   _transformLine(line) {
-    if (!line.trim()) return line;
-
-    switch (this.encoding) {
-      case 'base64':
-        return this.direction === 'encode'
-          ? Buffer.from(line).toString('base64')
-          : Buffer.from(line, 'base64').toString('utf8');
-
-      case 'hex':
-        return this.direction === 'encode'
-          ? Buffer.from(line).toString('hex')
-          : Buffer.from(line, 'hex').toString('utf8');
-
-      case 'url':
-        return this.direction === 'encode' ? encodeURIComponent(line) : decodeURIComponent(line);
-
-      case 'json':
-        return this.direction === 'encode' ? JSON.stringify(line) : JSON.parse(line);
-
-      default:
-        return line;
-    }
+    return transformEncoding(line, this.encoding, this.direction);
   }
 }
 
@@ -612,6 +632,8 @@ const encodingTransform = async (request, reply) => {
 };
 
 module.exports = {
+  transformCase,
+  transformEncoding,
   caseTransform,
   filterTransform,
   mathTransform,
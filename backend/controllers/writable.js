@@ -1,4 +1,25 @@
-const { Writable } = require('node:stream');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const fsPromises = require('node:fs/promises');
+const path = require('node:path');
+const { Readable, Transform, Writable } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
+const { StringDecoder } = require('node:string_decoder');
+const { createGzip } = require('node:zlib');
+const Busboy = require('@fastify/busboy');
+const Ajv = require('ajv');
+
+const {
+  CustomError,
+  LRUCache,
+  SafeRegex,
+  expression: { compileExpression },
+  sandbox: { sandboxDir, resolveSandboxPath },
+} = require('../helpers');
+
+const UPLOADS_DIR = sandboxDir('uploads');
+const RESUMABLE_DIR = sandboxDir('resumable');
+const SINKS_DIR = sandboxDir('sinks');
 
 /**
  * System limits for writable stream operations
@@ -14,8 +35,193 @@ const LIMITS = {
   MAX_LINE_LENGTH: 500,
   /** Maximum processing time in ms */
   MAX_PROCESSING_TIME: 30000,
+  /** Maximum number of dead letters kept per request, the rest is only counted */
+  MAX_DEAD_LETTERS: 1000,
+  /** Number of dedup keys remembered across collect requests */
+  MAX_DEDUP_KEYS: 10000,
+  /** Number of idempotent collect responses remembered */
+  MAX_IDEMPOTENCY_KEYS: 50,
+  /** Maximum length of an Idempotency-Key header */
+  MAX_IDEMPOTENCY_KEY_LENGTH: 255,
+  /** Maximum size of a single multipart file in bytes (10MB) */
+  MAX_UPLOAD_FILE_SIZE: 10 * 1024 * 1024,
+  /** Maximum number of files in one multipart request */
+  MAX_UPLOAD_FILES: 10,
+  /** Maximum size of a whole multipart request in bytes (50MB) */
+  MAX_UPLOAD_SIZE: 50 * 1024 * 1024,
+  /** Maximum number of non-file multipart fields */
+  MAX_UPLOAD_FIELDS: 50,
+  /** Maximum size of a non-file multipart field value in bytes */
+  MAX_UPLOAD_FIELD_SIZE: 64 * 1024,
+  /** Maximum declared length of a resumable upload in bytes (512MB) */
+  MAX_RESUMABLE_SIZE: 512 * 1024 * 1024,
+  /** Time without new data after which a resumable upload is removed, in ms (24h) */
+  RESUMABLE_UPLOAD_TTL: 24 * 60 * 60 * 1000,
+  /** Maximum number of nodes in a validation rule set */
+  MAX_RULE_NODES: 50,
+  /** Maximum nesting depth of and/or/not in a validation rule set */
+  MAX_RULE_DEPTH: 8,
+  /** Maximum length of a regex pattern in a validation rule */
+  MAX_PATTERN_LENGTH: 200,
+  /** Maximum number of values in an enum validation rule */
+  MAX_ENUM_VALUES: 500,
+  /** Default size at which a file sink rotates, in bytes (1MB) */
+  SINK_ROTATE_SIZE: 1024 * 1024,
+  /** Smallest allowed rotation size in bytes */
+  MIN_SINK_ROTATE_SIZE: 1024,
+  /** Largest allowed rotation size in bytes (100MB) */
+  MAX_SINK_ROTATE_SIZE: 100 * 1024 * 1024,
+  /** Shortest allowed rotation interval in ms */
+  MIN_SINK_ROTATE_INTERVAL: 1000,
+  /** Longest allowed rotation interval in ms (7 days) */
+  MAX_SINK_ROTATE_INTERVAL: 7 * 24 * 60 * 60 * 1000,
+  /** Default number of items per batch */
+  BATCH_COUNT: 100,
+  /** Maximum number of items per batch */
+  MAX_BATCH_COUNT: 10000,
+  /** Default byte size of a batch (64KB) */
+  BATCH_BYTES: 64 * 1024,
+  /** Maximum byte size of a batch (1MB) */
+  MAX_BATCH_BYTES: 1024 * 1024,
+  /** Default time a batch may stay open in ms */
+  BATCH_WAIT: 1000,
+  /** Maximum time a batch may stay open in ms */
+  MAX_BATCH_WAIT: 60000,
+  /** Maximum simulated downstream latency per batch in ms */
+  MAX_BATCH_HANDLER_DELAY: 5000,
 };
 
+/**
+ * Hash algorithms accepted for resumable upload checksums
+ * @type {string[]}
+ */
+const CHECKSUM_ALGORITHMS = ['md5', 'sha1', 'sha256', 'sha512'];
+
+/**
+ * Ids of resumable uploads with a request in progress (chunk, assembly or deletion), used to reject concurrent ones
+ * @type {Set<string>}
+ */
+const LOCKED_UPLOADS = new Set();
+
+/**
+ * Names of file sinks currently being written, used to reject concurrent writers
+ * @type {Set<string>}
+ */
+const LOCKED_SINKS = new Set();
+
+/**
+ * Dedup keys seen by DataCollectorStream, shared across requests so replayed uploads are caught
+ * @type {LRUCache}
+ */
+const SEEN_KEYS = new LRUCache({ max: LIMITS.MAX_DEDUP_KEYS });
+
+/**
+ * Responses of finished collect requests by Idempotency-Key, with the fingerprint of the request they answer
+ * @type {LRUCache}
+ */
+const IDEMPOTENT_RESPONSES = new LRUCache({ max: LIMITS.MAX_IDEMPOTENCY_KEYS });
+
+/**
+ * Idempotency-Keys of collect requests still in progress
+ * @type {Set<string>}
+ */
+const PENDING_IDEMPOTENCY_KEYS = new Set();
+
+/**
+ * MIME types accepted by the multipart upload endpoint
+ * @type {string[]}
+ */
+const ALLOWED_MIME_TYPES = [
+  'text/plain',
+  'text/csv',
+  'application/json',
+  'application/x-ndjson',
+  'application/octet-stream',
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+];
+
+/**
+ * Collects lines a stream rejected, with their line number, reason and original content.
+ * Entries past the limit are only counted.
+ */
+class DeadLetterChannel {
+  /**
+   * Creates a DeadLetterChannel instance
+   * @param {Object} [options={}] - Channel options
+   * @param {number} [options.limit] - Maximum number of entries kept
+   */
+  constructor(options = {}) {
+    this.limit = options.limit || LIMITS.MAX_DEAD_LETTERS;
+    this.entries = [];
+    this.total = 0;
+    this.dropped = 0;
+  }
+
+  /**
+   * Records a rejected line
+   * @param {number} line - 1-based line number
+   * @param {string} reason - Why the line was rejected
+   * @param {string} content - Original line content
+   */
+  add(line, reason, content) {
+    this.total++;
+
+    if (this.entries.length >= this.limit) {
+      this.dropped++;
+      return;
+    }
+
+    this.entries.push({ line, reason, content });
+  }
+
+  /**
+   * Runs a second pass over every kept entry and records the outcome on it
+   * @param {string} name - Name of the processor or validator used for the retry
+   * @param {Function} attempt - Receives the original content, returns { ok: true, output } or { ok: false, reason }
+   * @returns {Object} Retry summary with recovered and failed counts
+   */
+  retry(name, attempt) {
+    const summary = { with: name, recovered: 0, failed: 0 };
+
+    for (const entry of this.entries) {
+      const outcome = attempt(entry.content);
+
+      if (outcome.ok) {
+        entry.retry = { recovered: true, output: outcome.output };
+        summary.recovered++;
+      } else {
+        entry.retry = { recovered: false, reason: outcome.reason };
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Creates a readable stream of the kept entries as JSON lines
+   * @returns {Readable} JSONL stream
+   */
+  toReadable() {
+    return Readable.from(this.entries.map(entry => `${JSON.stringify(entry)}\n`));
+  }
+
+  /**
+   * Get channel counters
+   * @returns {Object} Total, kept and dropped entry counts
+   */
+  getStats() {
+    return {
+      total: this.total,
+      kept: this.entries.length,
+      dropped: this.dropped,
+    };
+  }
+}
+
 /**
  * A writable stream that collects and counts incoming data
  * @extends {Writable}
@@ -25,17 +231,80 @@ class DataCollectorStream extends Writable {
    * Creates a DataCollectorStream instance
    * @param {Object} [options={}] - Stream configuration options
    * @param {boolean} [options.objectMode=false] - Whether to operate in object mode
+   * @param {number} [options.maxSize] - Maximum number of bytes accepted before failing with 413
+   * @param {string} [options.dedup] - Drop duplicate lines by "line" hash or JSON "key"
+   * @param {string} [options.keyPath] - Dot separated path of the dedup key in JSONL lines, e.g. "order.id"
+   * @param {string} [options.scope=''] - Namespace for dedup keys
+   * @param {LRUCache} [options.seen] - Keys seen so far, pass a shared cache to dedup across streams
    */
   constructor(options = {}) {
     super(options);
+    this.decoder = new StringDecoder('utf8');
     this.collectedData = [];
+    this.dedup = options.dedup || null;
     this.stats = {
       chunks: 0,
       bytes: 0,
       lines: 0,
+      ...(this.dedup && { duplicates: 0, unkeyed: 0 }),
       startTime: Date.now(),
     };
     this.maxSize = options.maxSize || LIMITS.MAX_FILE_SIZE;
+    this.keyPath = options.keyPath ? options.keyPath.split('.') : [];
+    this.scope = options.scope || '';
+    this.seen = options.seen || new LRUCache({ max: LIMITS.MAX_DEDUP_KEYS });
+    this.buffer = '';
+  }
+
+  /**
+   * Computes the dedup key of a line
+   * @param {string} line - Line without its newline
+   * @returns {string|null} Key, null for lines that cannot be deduplicated
+   * @private
+   */
+  _dedupKey(line) {
+    if (!line.trim()) {
+      return null;
+    }
+
+    let identity = line;
+
+    if (this.dedup === 'key') {
+      try {
+        identity = this.keyPath.reduce((value, key) => (value == null ? undefined : value[key]), JSON.parse(line));
+      } catch {
+        identity = undefined;
+      }
+      if (identity === undefined) {
+        this.stats.unkeyed++;
+        return null;
+      }
+      identity = JSON.stringify(identity);
+    }
+
+    return `${this.scope}:${crypto.createHash('sha256').update(identity).digest('hex')}`;
+  }
+
+  /**
+   * Collects one line unless its dedup key was already seen
+   * @param {string} line - Line without its newline
+   * @param {string} terminator - "\n", or "" for the last unterminated line
+   * @private
+   */
+  _collectLine(line, terminator) {
+    const key = this._dedupKey(line);
+
+    if (key !== null) {
+      // get() also refreshes the key, so frequently replayed keys stay in the cache
+      if (this.seen.get(key)) {
+        this.stats.duplicates++;
+        return;
+      }
+      this.seen.set(key, true);
+    }
+
+    this.collectedData.push(line + terminator);
+    this.stats.lines += terminator ? 1 : 0;
   }
 
   /**
@@ -46,17 +315,47 @@ class DataCollectorStream extends Writable {
    * @private
    */
   _write(chunk, encoding, callback) {
-    const data = chunk.toString();
-
-    // Check size limits
-    if (this.stats.bytes + data.length > this.maxSize) {
-      return callback(new Error('Data exceeds maximum size limit'));
+    // Check size limits before accepting the chunk
+    if (this.stats.bytes + chunk.length > this.maxSize) {
+      return callback(new CustomError('Data exceeds maximum size limit', 413));
     }
 
-    this.collectedData.push(data);
+    // The decoder holds back multi-byte characters split across chunks
+    const data = this.decoder.write(chunk);
+
     this.stats.chunks++;
-    this.stats.bytes += data.length;
-    this.stats.lines += (data.match(/\n/g) || []).length;
+    this.stats.bytes += chunk.length;
+
+    if (!this.dedup) {
+      this.collectedData.push(data);
+      this.stats.lines += (data.match(/\n/g) || []).length;
+      return callback();
+    }
+
+    // Dedup works on whole lines, keep the incomplete one for the next chunk
+    const lines = (this.buffer + data).split('\n');
+    this.buffer = lines.pop();
+
+    for (const line of lines) {
+      this._collectLine(line, '\n');
+    }
+
+    callback();
+  }
+
+  /**
+   * Called when stream is ending
+   * @param {Function} callback - Callback to call when finalization is complete
+   * @private
+   */
+  _final(callback) {
+    const rest = this.decoder.end();
+
+    if (!this.dedup) {
+      this.collectedData.push(rest);
+    } else if (this.buffer + rest) {
+      this._collectLine(this.buffer + rest, '');
+    }
 
     callback();
   }
@@ -84,20 +383,53 @@ class LineProcessorStream extends Writable {
   /**
    * Creates a LineProcessorStream instance
    * @param {Object} [options={}] - Stream configuration options
-   * @param {Function} [options.processor] - Function to process each line
+   * @param {Function} [options.processor] - Function receiving (line, lineNumber) and returning the processed line
    */
   constructor(options = {}) {
     super(options);
     this.processor = options.processor || (line => line.toUpperCase());
     this.processedLines = [];
+    this.deadLetters = new DeadLetterChannel();
+    this.lineNumber = 0;
     this.stats = {
       linesProcessed: 0,
       errors: 0,
       startTime: Date.now(),
     };
+    this.decoder = new StringDecoder('utf8');
     this.buffer = '';
   }
 
+  /**
+   * Processes one line, or sends it to the dead letter channel when it is rejected
+   * @param {string} line - Line to process
+   * @private
+   */
+  _processLine(line) {
+    this.lineNumber++;
+
+    if (this.stats.linesProcessed >= LIMITS.MAX_LINES) {
+      return this.deadLetters.add(this.lineNumber, `Line limit of ${LIMITS.MAX_LINES} reached`, line);
+    }
+
+    if (line.length > LIMITS.MAX_LINE_LENGTH) {
+      this.stats.errors++;
+      return this.deadLetters.add(
+        this.lineNumber,
+        `Line length ${line.length} exceeds maximum of ${LIMITS.MAX_LINE_LENGTH}`,
+        line,
+      );
+    }
+
+    try {
+      this.processedLines.push(this.processor(line, this.lineNumber));
+      this.stats.linesProcessed++;
+    } catch (error) {
+      this.stats.errors++;
+      this.deadLetters.add(this.lineNumber, `Processor failed: ${error.message}`, line);
+    }
+  }
+
   /**
    * Internal method to write data to the stream
    * @param {Buffer|string} chunk - Data chunk to write
@@ -106,7 +438,7 @@ class LineProcessorStream extends Writable {
    * @private
    */
   _write(chunk, encoding, callback) {
-    this.buffer += chunk.toString();
+    this.buffer += this.decoder.write(chunk);
     const lines = this.buffer.split('\n');
 
     // Keep the last incomplete line in buffer
@@ -114,17 +446,7 @@ class LineProcessorStream extends Writable {
 
     // Process complete lines
     for (const line of lines) {
-      if (this.stats.linesProcessed >= LIMITS.MAX_LINES) {
-        break;
-      }
-
-      if (line.length > LIMITS.MAX_LINE_LENGTH) {
-        this.stats.errors++;
-        continue;
-      }
-
-      this.processedLines.push(this.processor(line));
-      this.stats.linesProcessed++;
+      this._processLine(line);
     }
 
     callback();
@@ -136,23 +458,26 @@ class LineProcessorStream extends Writable {
    * @private
    */
   _final(callback) {
+    this.buffer += this.decoder.end();
+
     // Process any remaining data in buffer
     if (this.buffer.trim()) {
-      this.processedLines.push(this.processor(this.buffer));
-      this.stats.linesProcessed++;
+      this._processLine(this.buffer);
     }
     callback();
   }
 
   /**
    * Get processed results
-   * @returns {Object} Processing results with data and stats
+   * @returns {Object} Processing results with data, dead letters and stats
    */
   getResults() {
     return {
       processedLines: this.processedLines,
+      deadLetters: this.deadLetters.entries,
       stats: {
         ...this.stats,
+        deadLetters: this.deadLetters.getStats(),
         duration: Date.now() - this.stats.startTime,
       },
     };
@@ -167,22 +492,46 @@ class ValidationStream extends Writable {
   /**
    * Creates a ValidationStream instance
    * @param {Object} [options={}] - Stream configuration options
-   * @param {Function} [options.validator] - Function to validate each line
+   * @param {Function} [options.validator] - Function to validate each line, returning true when valid
+   *   and false or a reason string when invalid
    */
   constructor(options = {}) {
     super(options);
     this.validator = options.validator || (line => line.length > 0);
     this.validLines = [];
     this.invalidLines = [];
+    this.deadLetters = new DeadLetterChannel();
     this.stats = {
       total: 0,
       valid: 0,
       invalid: 0,
       startTime: Date.now(),
     };
+    this.decoder = new StringDecoder('utf8');
     this.buffer = '';
   }
 
+  /**
+   * Validates one line and records it as valid or invalid
+   * @param {string} line - Line to validate
+   * @private
+   */
+  _validateLine(line) {
+    this.stats.total++;
+
+    const outcome = this.validator(line);
+
+    if (outcome === true) {
+      this.validLines.push(line);
+      this.stats.valid++;
+      return;
+    }
+
+    this.invalidLines.push(line);
+    this.deadLetters.add(this.stats.total, typeof outcome === 'string' ? outcome : 'Validation failed', line);
+    this.stats.invalid++;
+  }
+
   /**
    * Internal method to write data to the stream
    * @param {Buffer|string} chunk - Data chunk to write
@@ -191,21 +540,13 @@ class ValidationStream extends Writable {
    * @private
    */
   _write(chunk, encoding, callback) {
-    this.buffer += chunk.toString();
+    this.buffer += this.decoder.write(chunk);
     const lines = this.buffer.split('\n');
 
     this.buffer = lines.pop() || '';
 
     for (const line of lines) {
-      this.stats.total++;
-
-      if (this.validator(line)) {
-        this.validLines.push(line);
-        this.stats.valid++;
-      } else {
-        this.invalidLines.push(line);
-        this.stats.invalid++;
-      }
+      this._validateLine(line);
     }
 
     callback();
@@ -217,29 +558,28 @@ class ValidationStream extends Writable {
    * @private
    */
   _final(callback) {
+    this.buffer += this.decoder.end();
+
     if (this.buffer.trim()) {
-      this.stats.total++;
-      if (this.validator(this.buffer)) {
-        this.validLines.push(this.buffer);
-        this.stats.valid++;
-      } else {
-        this.invalidLines.push(this.buffer);
-        this.stats.invalid++;
-      }
+      this._validateLine(this.buffer);
     }
     callback();
   }
 
   /**
    * Get validation results
-   * @returns {Object} Validation results with data and stats
+   * @returns {Object} Validation results with data, per-line failure reasons, dead letters and stats
    */
   getResults() {
     return {
       validLines: this.validLines,
       invalidLines: this.invalidLines,
+      // Kept in its original shape for existing clients, deadLetters adds retry outcomes
+      failures: this.deadLetters.entries.map(({ line, content, reason }) => ({ line, content, reason })),
+      deadLetters: this.deadLetters.entries,
       stats: {
         ...this.stats,
+        deadLetters: this.deadLetters.getStats(),
         duration: Date.now() - this.stats.startTime,
       },
     };
@@ -247,143 +587,1705 @@ class ValidationStream extends Writable {
 }
 
 /**
- * Validates and sanitizes request parameters
- * @param {Object} params - Raw parameters from request
- * @returns {Object} Validated parameters
+ * A writable stream that appends incoming lines to a log file and rotates it by size or age.
+ * Rotation only happens on line boundaries, rotated files can be gzipped.
+ * @extends {Writable}
  */
-const validateParams = params => {
-  return {
-    maxSize: Math.min(parseInt(params.maxSize) || LIMITS.MAX_FILE_SIZE, LIMITS.MAX_FILE_SIZE),
-    processor: params.processor || 'uppercase',
-    validator: params.validator || 'nonEmpty',
-  };
-};
+class RotatingFileStream extends Writable {
+  /**
+   * Creates a RotatingFileStream instance
+   * @param {Object} options - Stream configuration options
+   * @param {string} options.name - Sink name, the active file is <name>.log
+   * @param {string} [options.directory] - Absolute directory the files live in
+   * @param {number} [options.maxBytes] - Rotate before the active file would grow past this size
+   * @param {number} [options.interval] - Rotate once the active file is older than this many ms
+   * @param {boolean} [options.gzip=false] - Whether rotated files are gzipped
+   */
+  constructor(options) {
+    super();
+    this.name = options.name;
+    this.directory = options.directory || SINKS_DIR;
+    this.maxBytes = options.maxBytes || LIMITS.SINK_ROTATE_SIZE;
+    this.interval = options.interval || 0;
+    this.gzip = options.gzip === true;
+    this.activePath = resolveSandboxPath(this.directory, `${this.name}.log`);
+    this.handle = null;
+    this.activeBytes = 0;
+    this.activeSince = 0;
+    this.activeWritten = 0;
+    this.rotatedFiles = [];
+    this.sequence = 0;
+    this.decoder = new StringDecoder('utf8');
+    this.buffer = '';
+    this.stats = {
+      lines: 0,
+      bytes: 0,
+      rotations: 0,
+      startTime: Date.now(),
+    };
+  }
 
-/**
- * Fastify route handler for data collection writable stream
- * Accepts POST data and collects it in memory with statistics
- * @async
- * @param {Object} request - Fastify request object
- * @param {Object} request.body - Request body data
- * @param {Object} request.query - Query parameters
- * @param {Object} reply - Fastify reply object
- * @returns {Promise<Object>} Collection results with statistics
- * @example
- * // POST /api/v1/writable/collect
- * // Body: "Line 1\nLine 2\nLine 3"
- * // Response: { data: "Line 1\nLine 2\nLine 3", stats: { chunks: 1, bytes: 21, lines: 3 } }
- */
-const collectData = async (request, reply) => {
-  const { maxSize } = validateParams(request.query);
+  /**
+   * Opens the active file, picking up size and age of a file left by a previous request
+   * @async
+   * @private
+   */
+  async _open() {
+    await fsPromises.mkdir(this.directory, { recursive: true });
+    this.handle = await fsPromises.open(this.activePath, 'a');
 
-  const collector = new DataCollectorStream({ maxSize });
+    const { size, birthtimeMs } = await this.handle.stat();
+    this.activeBytes = size;
+    this.activeSince = size > 0 && birthtimeMs ? birthtimeMs : Date.now();
+    this.activeWritten = 0;
+  }
 
-  // Write request body to collector stream
-  collector.write(request.body || '');
-  collector.end();
+  /**
+   * Checks whether the active file must be rotated before writing more bytes
+   * @param {number} bytes - Size of the pending write
+   * @returns {string|null} Rotation reason, null when no rotation is needed
+   * @private
+   */
+  _rotationReason(bytes) {
+    if (this.activeBytes === 0) {
+      return null;
+    }
+    if (this.activeBytes + bytes > this.maxBytes) {
+      return 'size';
+    }
+    if (this.interval && Date.now() - this.activeSince >= this.interval) {
+      return 'time';
+    }
+    return null;
+  }
 
-  const results = collector.getResults();
+  /**
+   * Closes the active file, moves it aside, optionally gzips it and opens a fresh one
+   * @async
+   * @param {string} reason - Why the file is rotated ("size" or "time")
+   * @private
+   */
+  async _rotate(reason) {
+    await this.handle.close();
 
-  return reply.send({
-    success: true,
-    message: 'Data collected successfully',
-    results,
-  });
-};
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const exists = file =>
+      fsPromises.access(file).then(
+        () => true,
+        () => false,
+      );
 
-/**
- * Fastify route handler for line processing writable stream
- * Processes incoming data line by line with transformations
- * @async
- * @param {Object} request - Fastify request object
- * @param {Object} request.body - Request body data
- * @param {Object} request.query - Query parameters
- * @param {Object} reply - Fastify reply object
- * @returns {Promise<Object>} Processing results with transformed lines
- * @example
- * // POST /api/v1/writable/process?processor=uppercase
- * // Body: "hello\nworld"
- * // Response: { processedLines: ["HELLO", "WORLD"], stats: { linesProcessed: 2 } }
- */
-const processLines = async (request, reply) => {
-  const { processor } = validateParams(request.query);
+    // Never overwrite an earlier rotation from the same millisecond
+    let rotatedName;
+    let rotatedPath;
+    do {
+      rotatedName = `${this.name}.${stamp}.${this.sequence++}.log`;
+      rotatedPath = resolveSandboxPath(this.directory, rotatedName);
+    } while ((await exists(rotatedPath)) || (await exists(`${rotatedPath}.gz`)));
 
-  const processors = {
-    uppercase: line => line.toUpperCase(),
-    lowercase: line => line.toLowerCase(),
-    reverse: line => line.split('').reverse().join(''),
-    wordCount: line => `${line} (${line.split(' ').length} words)`,
-  };
+    await fsPromises.rename(this.activePath, rotatedPath);
 
-  const processorFn = processors[processor] || processors.uppercase;
-  const lineProcessor = new LineProcessorStream({ processor: processorFn });
+    const rotated = { file: rotatedName, bytes: this.activeBytes, written: this.activeWritten, reason };
 
-  lineProcessor.write(request.body || '');
-  lineProcessor.end();
+    if (this.gzip) {
+      await pipeline(fs.createReadStream(rotatedPath), createGzip(), fs.createWriteStream(`${rotatedPath}.gz`));
+      await fsPromises.rm(rotatedPath);
+      rotated.file = `${rotatedName}.gz`;
+      rotated.compressedBytes = (await fsPromises.stat(`${rotatedPath}.gz`)).size;
+    }
 
-  const results = lineProcessor.getResults();
+    this.rotatedFiles.push(rotated);
+    this.stats.rotations++;
+    await this._open();
+  }
 
-  return reply.send({
-    success: true,
-    message: 'Lines processed successfully',
-    results,
-  });
-};
+  /**
+   * Appends complete lines, rotating between lines whenever needed
+   * @async
+   * @param {string[]} lines - Lines without their trailing newline
+   * @private
+   */
+  async _appendLines(lines) {
+    if (!this.handle) {
+      await this._open();
+    }
 
-/**
- * Fastify route handler for data validation writable stream
- * Validates incoming data and separates valid/invalid entries
- * @async
- * @param {Object} request - Fastify request object
- * @param {Object} request.body - Request body data
- * @param {Object} request.query - Query parameters
- * @param {Object} reply - Fastify reply object
- * @returns {Promise<Object>} Validation results with separated data
- * @example
- * // POST /api/v1/writable/validate?validator=email
- * // Body: "test@example.com\ninvalid-email\nuser@domain.org"
- * // Response: { validLines: ["test@example.com", "user@domain.org"], invalidLines: ["invalid-email"] }
- */
-const validateData = async (request, reply) => {
-  const { validator } = validateParams(request.query);
+    let pending = '';
+    let pendingBytes = 0;
 
-  const validators = {
-    nonEmpty: line => line.trim().length > 0,
-    email: line => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(line.trim()),
-    number: line => !isNaN(parseFloat(line.trim())),
-    minLength: line => line.trim().length >= 3,
-  };
+    for (const line of lines) {
+      const entry = `${line}\n`;
+      const bytes = Buffer.byteLength(entry);
+      const reason = this._rotationReason(bytes);
 
-  const validatorFn = validators[validator] || validators.nonEmpty;
-  const validationStream = new ValidationStream({ validator: validatorFn });
+      if (reason) {
+        // Flush what belongs to the current file before moving it aside
+        if (pending) {
+          await this.handle.write(pending);
+          pending = '';
+          pendingBytes = 0;
+        }
+        await this._rotate(reason);
+      }
 
-  validationStream.write(request.body || '');
-  validationStream.end();
+      pending += entry;
+      pendingBytes += bytes;
+      this.activeBytes += bytes;
+      this.activeWritten += bytes;
+      this.stats.lines++;
+      this.stats.bytes += bytes;
+    }
 
-  const results = validationStream.getResults();
+    if (pending) {
+      await this.handle.write(pending);
+    }
+  }
 
-  return reply.send({
-    success: true,
-    message: 'Data validated successfully',
-    results,
-  });
-};
+  /**
+   * Internal method to write data to the stream
+   * @param {Buffer|string} chunk - Data chunk to write
+   * @param {string} encoding - Text encoding if chunk is string
+   * @param {Function} callback - Callback to call when write is complete
+   * @private
+   */
+  _write(chunk, encoding, callback) {
+    this.buffer += this.decoder.write(chunk);
+    const lines = this.buffer.split('\n');
 
-/**
- * Fastify route handler for streaming data upload
- * Handles streaming upload with real-time processing
- * @async
- * @param {Object} request - Fastify request object
- * @param {Object} reply - Fastify reply object
- * @returns {Promise<Object>} Upload results
- */
-const streamUpload = async (request, reply) => {
-  const collector = new DataCollectorStream();
+    this.buffer = lines.pop() || '';
+
+    this._appendLines(lines).then(() => callback(), callback);
+  }
+
+  /**
+   * Writes the last unterminated line and closes the active file
+   * @param {Function} callback - Callback to call when finalization is complete
+   * @private
+   */
+  _final(callback) {
+    this.buffer += this.decoder.end();
+    const lines = this.buffer ? [this.buffer] : [];
+    this.buffer = '';
+
+    this._appendLines(lines)
+      .then(() => this.handle.close())
+      .then(() => {
+        this.handle = null;
+        callback();
+      }, callback);
+  }
+
+  /**
+   * Closes the active file when the stream fails
+   * @param {Error|null} error - Error that caused the destruction
+   * @param {Function} callback - Callback to call when destruction is complete
+   * @private
+   */
+  _destroy(error, callback) {
+    if (!this.handle) {
+      return callback(error);
+    }
+    this.handle.close().then(
+      () => callback(error),
+      () => callback(error),
+    );
+  }
+
+  /**
+   * Get the sink report
+   * @returns {Object} Active file, rotated files and stats
+   */
+  getResults() {
+    return {
+      active: {
+        file: `${this.name}.log`,
+        bytes: this.activeBytes,
+        written: this.activeWritten,
+      },
+      rotated: this.rotatedFiles,
+      stats: {
+        ...this.stats,
+        duration: Date.now() - this.stats.startTime,
+      },
+    };
+  }
+}
+
+/**
+ * A transform that splits text into lines and emits one object per non-empty line
+ * @extends {Transform}
+ */
+class LineSplitStream extends Transform {
+  /**
+   * Creates a LineSplitStream instance
+   * @param {Object} [options={}] - Stream configuration options
+   * @param {boolean} [options.json=false] - Parse every line as a JSON object or array (JSONL input)
+   */
+  constructor(options = {}) {
+    super({ readableObjectMode: true });
+    this.json = options.json === true;
+    this.decoder = new StringDecoder('utf8');
+    this.buffer = '';
+    this.lineNumber = 0;
+  }
+
+  /**
+   * Pushes one line, parsed when in JSON mode
+   * @param {string} line - Line without its newline
+   * @throws {CustomError} 400 in JSON mode for invalid JSON or values that are not objects or arrays
+   * @private
+   */
+  _pushLine(line) {
+    this.lineNumber++;
+
+    if (!line.trim()) {
+      return;
+    }
+
+    if (!this.json) {
+      return this.push(line);
+    }
+
+    let value;
+    try {
+      value = JSON.parse(line);
+    } catch (error) {
+      throw new CustomError(`Invalid JSON on line ${this.lineNumber}: ${error.message}`, 400);
+    }
+
+    // A null push would end the stream, and bare values are not JSONL records anyway
+    if (value === null || typeof value !== 'object') {
+      throw new CustomError(`Line ${this.lineNumber} must be a JSON object or array`, 400);
+    }
+    this.push(value);
+  }
+
+  /**
+   * Internal method to split data chunks into lines
+   * @param {Buffer} chunk - Data chunk to split
+   * @param {string} encoding - Text encoding if chunk is string
+   * @param {Function} callback - Callback to call when transform is complete
+   * @private
+   */
+  _transform(chunk, encoding, callback) {
+    this.buffer += this.decoder.write(chunk);
+    const lines = this.buffer.split('\n');
+
+    this.buffer = lines.pop() || '';
+
+    try {
+      lines.forEach(line => this._pushLine(line));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * Pushes the last unterminated line
+   * @param {Function} callback - Callback to call when flushing is complete
+   * @private
+   */
+  _flush(callback) {
+    try {
+      this._pushLine(this.buffer + this.decoder.end());
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+}
+
+/**
+ * An object mode writable that groups items into batches and hands every batch to a handler.
+ * A batch is flushed when it reaches maxCount items or maxBytes bytes, when its first item
+ * has waited maxWait ms, or when the stream ends. Items buffered while a flush is in progress
+ * arrive together through _writev.
+ * @extends {Writable}
+ */
+class BatchingWritable extends Writable {
+  /**
+   * Creates a BatchingWritable instance
+   * @param {Object} [options={}] - Stream configuration options
+   * @param {number} [options.maxCount] - Items per batch
+   * @param {number} [options.maxBytes] - Bytes per batch, objects are measured as JSON
+   * @param {number} [options.maxWait] - Maximum age of an open batch in ms, 0 disables the timer
+   * @param {Function} [options.handler] - Async function receiving (items, batch) and returning a result
+   * @param {number} [options.highWaterMark] - Number of items buffered while a batch is flushing
+   */
+  constructor(options = {}) {
+    super({ objectMode: true, highWaterMark: options.highWaterMark });
+    this.maxCount = options.maxCount || LIMITS.BATCH_COUNT;
+    this.maxBytes = options.maxBytes || LIMITS.BATCH_BYTES;
+    this.maxWait = options.maxWait ?? LIMITS.BATCH_WAIT;
+    this.handler = options.handler || (async items => ({ count: items.length }));
+    this.items = [];
+    this.itemBytes = 0;
+    this.openedAt = 0;
+    this.timer = null;
+    this.queue = Promise.resolve();
+    this.batches = [];
+    this.stats = {
+      items: 0,
+      bytes: 0,
+      batches: 0,
+      writeCalls: 0,
+      writevCalls: 0,
+      writevItems: 0,
+      startTime: Date.now(),
+    };
+  }
+
+  /**
+   * Adds items to the open batch, flushing whenever a size limit is reached
+   * @async
+   * @param {Array<*>} items - Items to add
+   * @returns {Promise<void>} Resolves once every triggered flush has completed
+   * @private
+   */
+  async _add(items) {
+    for (const item of items) {
+      if (!this.items.length) {
+        this.openedAt = Date.now();
+        if (this.maxWait) {
+          this.timer = setTimeout(() => this._flush('time').catch(error => this.destroy(error)), this.maxWait);
+        }
+      }
+
+      const bytes = Buffer.byteLength(typeof item === 'string' ? item : JSON.stringify(item));
+      this.items.push(item);
+      this.itemBytes += bytes;
+      this.stats.items++;
+      this.stats.bytes += bytes;
+
+      if (this.items.length >= this.maxCount) {
+        await this._flush('count');
+      } else if (this.itemBytes >= this.maxBytes) {
+        await this._flush('bytes');
+      }
+    }
+  }
+
+  /**
+   * Closes the open batch and queues it for the handler. Batches are handled one at a time, in order.
+   * @param {string} reason - Why the batch is flushed ("count", "bytes", "time" or "end")
+   * @returns {Promise<void>} Resolves once the batch has been handled
+   * @private
+   */
+  _flush(reason) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (!this.items.length) {
+      return this.queue;
+    }
+
+    const items = this.items;
+    const batch = {
+      index: this.stats.batches++,
+      firstItem: this.stats.items - items.length + 1,
+      lastItem: this.stats.items,
+      count: items.length,
+      bytes: this.itemBytes,
+      reason,
+      openedAt: this.openedAt,
+      closedAt: Date.now(),
+    };
+
+    this.items = [];
+    this.itemBytes = 0;
+
+    this.queue = this.queue.then(async () => {
+      const handlerStart = Date.now();
+      const result = await this.handler(items, batch);
+      const flushedAt = Date.now();
+
+      this.batches.push({
+        index: batch.index,
+        firstItem: batch.firstItem,
+        lastItem: batch.lastItem,
+        count: batch.count,
+        bytes: batch.bytes,
+        reason,
+        waitMs: batch.closedAt - batch.openedAt,
+        queuedMs: handlerStart - batch.closedAt,
+        handlerMs: flushedAt - handlerStart,
+        latencyMs: flushedAt - batch.openedAt,
+        result,
+      });
+    });
+
+    return this.queue;
+  }
+
+  /**
+   * Internal method to write a single item
+   * @param {*} chunk - Item to add
+   * @param {string} encoding - Ignored in object mode
+   * @param {Function} callback - Callback to call when the item is accepted
+   * @private
+   */
+  _write(chunk, encoding, callback) {
+    this.stats.writeCalls++;
+    this._add([chunk]).then(() => callback(), callback);
+  }
+
+  /**
+   * Internal method to write every item buffered while the previous write was pending
+   * @param {Array<{chunk: *}>} chunks - Buffered items
+   * @param {Function} callback - Callback to call when the items are accepted
+   * @private
+   */
+  _writev(chunks, callback) {
+    this.stats.writevCalls++;
+    this.stats.writevItems += chunks.length;
+    this._add(chunks.map(({ chunk }) => chunk)).then(() => callback(), callback);
+  }
+
+  /**
+   * Flushes the last partial batch and waits for every queued batch
+   * @param {Function} callback - Callback to call when finalization is complete
+   * @private
+   */
+  _final(callback) {
+    this._flush('end').then(() => callback(), callback);
+  }
+
+  /**
+   * Stops the max wait timer
+   * @param {Error|null} error - Error that caused the destruction
+   * @param {Function} callback - Callback to call when destruction is complete
+   * @private
+   */
+  _destroy(error, callback) {
+    clearTimeout(this.timer);
+    callback(error);
+  }
+
+  /**
+   * Get batch boundaries, flush reasons and timings
+   * @returns {Object} Batches and stats
+   */
+  getResults() {
+    return {
+      batches: this.batches,
+      stats: {
+        ...this.stats,
+        duration: Date.now() - this.stats.startTime,
+      },
+    };
+  }
+}
+
+/**
+ * A pass-through transform that fails once more than maxSize bytes have flowed through it
+ * @extends {Transform}
+ */
+class ByteLimitStream extends Transform {
+  /**
+   * Creates a ByteLimitStream instance
+   * @param {Object} [options={}] - Stream configuration options
+   * @param {number} [options.maxSize] - Maximum number of bytes allowed through
+   */
+  constructor(options = {}) {
+    super();
+    this.maxSize = options.maxSize ?? LIMITS.MAX_FILE_SIZE;
+    this.bytes = 0;
+  }
+
+  /**
+   * Internal method to count and forward data chunks
+   * @param {Buffer} chunk - Data chunk to forward
+   * @param {string} encoding - Text encoding if chunk is string
+   * @param {Function} callback - Callback to call when transform is complete
+   * @private
+   */
+  _transform(chunk, encoding, callback) {
+    this.bytes += chunk.length;
+
+    if (this.bytes > this.maxSize) {
+      return callback(new CustomError('Data exceeds maximum size limit', 413));
+    }
+
+    callback(null, chunk);
+  }
+}
+
+/**
+ * A pass-through transform that computes a digest and byte count of the data flowing through it
+ * @extends {Transform}
+ */
+class HashStream extends Transform {
+  /**
+   * Creates a HashStream instance
+   * @param {Object} [options={}] - Stream configuration options
+   * @param {string} [options.algorithm='sha256'] - Hash algorithm passed to crypto.createHash
+   */
+  constructor(options = {}) {
+    super();
+    this.hash = crypto.createHash(options.algorithm || 'sha256');
+    this.bytes = 0;
+  }
+
+  /**
+   * Internal method to hash and forward data chunks
+   * @param {Buffer} chunk - Data chunk to forward
+   * @param {string} encoding - Text encoding if chunk is string
+   * @param {Function} callback - Callback to call when transform is complete
+   * @private
+   */
+  _transform(chunk, encoding, callback) {
+    this.hash.update(chunk);
+    this.bytes += chunk.length;
+    callback(null, chunk);
+  }
+
+  /**
+   * Get the hex digest, only valid once the stream has ended
+   * @returns {string} Hex encoded digest
+   */
+  digest() {
+    return this.hash.digest('hex');
+  }
+}
+
+/**
+ * A writable stream that parses multipart/form-data and streams every file part to disk.
+ * Each part is hashed while it is written, so nothing is held in memory.
+ * @extends {Writable}
+ */
+class MultipartUploadStream extends Writable {
+  /**
+   * Creates a MultipartUploadStream instance
+   * @param {Object} options - Stream configuration options
+   * @param {Object} options.headers - Request headers, used for the multipart boundary
+   * @param {string} [options.directory] - Absolute directory the files are stored in
+   * @param {number} [options.maxFileSize] - Maximum size of each file in bytes
+   * @param {number} [options.maxFiles] - Maximum number of files
+   * @param {string[]} [options.allowedTypes] - Accepted MIME types
+   * @throws {CustomError} 415 when the request is not multipart/form-data
+   */
+  constructor(options) {
+    super();
+    this.directory = options.directory || UPLOADS_DIR;
+    this.maxFileSize = options.maxFileSize || LIMITS.MAX_UPLOAD_FILE_SIZE;
+    this.allowedTypes = options.allowedTypes || ALLOWED_MIME_TYPES;
+    this.files = [];
+    this.fields = {};
+    this.pending = [];
+    this.active = new Set();
+    this.storedPaths = [];
+    this.stats = {
+      files: 0,
+      fields: 0,
+      bytes: 0,
+      startTime: Date.now(),
+    };
+
+    try {
+      this.busboy = new Busboy({
+        headers: options.headers,
+        limits: {
+          fileSize: this.maxFileSize,
+          files: options.maxFiles || LIMITS.MAX_UPLOAD_FILES,
+          fields: LIMITS.MAX_UPLOAD_FIELDS,
+          fieldSize: LIMITS.MAX_UPLOAD_FIELD_SIZE,
+        },
+      });
+    } catch (error) {
+      throw new CustomError('Request must be multipart/form-data', 415);
+    }
+
+    this.busboy.on('file', (field, file, filename, encoding, mimeType) =>
+      this._handleFile(field, file, filename, encoding, mimeType),
+    );
+    this.busboy.on('field', (field, value) => {
+      this.fields[field] = value;
+      this.stats.fields++;
+    });
+    this.busboy.on('filesLimit', () => this.destroy(new CustomError('Too many files in upload', 413)));
+    this.busboy.on('error', error => this.destroy(new CustomError(`Malformed multipart body: ${error.message}`, 400)));
+  }
+
+  /**
+   * Streams one file part to disk through a HashStream
+   * @param {string} field - Form field name
+   * @param {Readable} file - File part stream
+   * @param {string} filename - Client supplied file name
+   * @param {string} encoding - Part transfer encoding
+   * @param {string} mimeType - Part content type
+   * @private
+   */
+  _handleFile(field, file, filename, encoding, mimeType) {
+    // Parts already parsed after a failure are drained and ignored
+    if (this.destroyed) {
+      return file.resume();
+    }
+
+    if (!this.allowedTypes.includes(mimeType)) {
+      file.resume();
+      return this.destroy(new CustomError(`File type not allowed: ${mimeType}`, 415));
+    }
+
+    // Never trust the client name on disk, only keep a sane extension
+    const extension = path.extname(filename || '').toLowerCase();
+    const storedAs = crypto.randomUUID() + (/^\.[a-z0-9]{1,10}$/.test(extension) ? extension : '');
+    const filePath = resolveSandboxPath(this.directory, storedAs);
+    const hasher = new HashStream();
+
+    file.on('limit', () =>
+      this.destroy(new CustomError(`File ${filename} exceeds maximum size of ${this.maxFileSize} bytes`, 413)),
+    );
+
+    this.active.add(file);
+    this.storedPaths.push(filePath);
+
+    const upload = pipeline(file, hasher, fs.createWriteStream(filePath)).then(() => {
+      this.active.delete(file);
+      this.files.push({
+        field,
+        filename,
+        storedAs,
+        mimeType,
+        encoding,
+        bytes: hasher.bytes,
+        sha256: hasher.digest(),
+      });
+      this.stats.files++;
+      this.stats.bytes += hasher.bytes;
+    });
+
+    // Failures surface through destroy(), the rejection itself is awaited in _final or cleanup()
+    upload.catch(error => this.destroy(error));
+    this.pending.push(upload);
+  }
+
+  /**
+   * Internal method to feed data to the multipart parser
+   * @param {Buffer} chunk - Data chunk to write
+   * @param {string} encoding - Text encoding if chunk is string
+   * @param {Function} callback - Callback to call when the parser accepted the chunk
+   * @private
+   */
+  _write(chunk, encoding, callback) {
+    this.busboy.write(chunk, callback);
+  }
+
+  /**
+   * Ends the parser and waits for every file to be flushed to disk
+   * @param {Function} callback - Callback to call when finalization is complete
+   * @private
+   */
+  _final(callback) {
+    this.busboy.once('finish', () => {
+      Promise.all(this.pending).then(() => callback(), callback);
+    });
+    this.busboy.end();
+  }
+
+  /**
+   * Aborts any file still being written
+   * @param {Error|null} error - Error that caused the destruction
+   * @param {Function} callback - Callback to call when destruction is complete
+   * @private
+   */
+  _destroy(error, callback) {
+    for (const file of this.active) {
+      file.destroy(error || new Error('Upload aborted'));
+    }
+    callback(error);
+  }
+
+  /**
+   * Removes every file written by this upload, used after a failure
+   * @async
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    await Promise.allSettled(this.pending);
+    await Promise.all(this.storedPaths.map(filePath => fsPromises.rm(filePath, { force: true })));
+  }
+
+  /**
+   * Get the upload manifest
+   * @returns {Object} Stored files, form fields and stats
+   */
+  getResults() {
+    return {
+      files: this.files,
+      fields: this.fields,
+      stats: {
+        ...this.stats,
+        duration: Date.now() - this.stats.startTime,
+      },
+    };
+  }
+}
+
+/**
+ * Streams the raw request body into a writable stream without buffering it first.
+ * A declared Content-Length above maxSize is rejected before any data is read,
+ * otherwise the limit is enforced as the bytes arrive.
+ * @async
+ * @param {Object} request - Fastify request object whose body is the raw payload stream
+ * @param {Writable|Transform} destination - Stream receiving the body
+ * @param {number} maxSize - Maximum number of bytes accepted
+ * @param {...Writable} [stages] - Further streams the destination is piped into
+ * @returns {Promise<void>} Resolves once the last stream has finished
+ * @throws {CustomError} 413 when the body exceeds maxSize
+ */
+const streamRequestBody = async (request, destination, maxSize, ...stages) => {
+  const declaredLength = parseInt(request.headers['content-length']);
+
+  if (declaredLength > maxSize) {
+    throw new CustomError('Data exceeds maximum size limit', 413);
+  }
+
+  const source = request.body || Readable.from([]);
+
+  await pipeline(source, new ByteLimitStream({ maxSize }), destination, ...stages);
+};
+
+/**
+ * Validates and sanitizes request parameters
+ * @param {Object} params - Raw parameters from request
+ * @returns {Object} Validated parameters
+ */
+const validateParams = params => {
+  return {
+    maxSize: Math.min(parseInt(params.maxSize) || LIMITS.MAX_FILE_SIZE, LIMITS.MAX_FILE_SIZE),
+    processor: params.processor || 'uppercase',
+    validator: params.validator || 'nonEmpty',
+    expression: params.expression || null,
+    deadLetters: params.deadLetters === 'jsonl' ? 'jsonl' : 'response',
+    retry: params.retry || null,
+  };
+};
+
+/**
+ * Validates file sink parameters
+ * @param {Object} params - Raw parameters from request
+ * @returns {Object} Validated parameters
+ * @throws {CustomError} 400 for invalid sink names
+ */
+const validateSinkParams = params => {
+  const name = params.name || 'sink';
+
+  if (!/^[A-Za-z0-9_-]{1,64}$/.test(name)) {
+    throw new CustomError('Sink name may only contain letters, digits, "_" and "-" (max 64 characters)', 400);
+  }
+
+  const interval = parseInt(params.interval);
+
+  return {
+    name,
+    maxBytes: Math.min(
+      Math.max(parseInt(params.maxBytes) || LIMITS.SINK_ROTATE_SIZE, LIMITS.MIN_SINK_ROTATE_SIZE),
+      LIMITS.MAX_SINK_ROTATE_SIZE,
+    ),
+    interval: interval
+      ? Math.min(Math.max(interval, LIMITS.MIN_SINK_ROTATE_INTERVAL), LIMITS.MAX_SINK_ROTATE_INTERVAL)
+      : 0,
+    gzip: params.gzip === 'true',
+  };
+};
+
+/**
+ * Batch handlers selectable with the handler parameter of the batch route.
+ * Each receives the batch items and the batch boundaries and returns what ends up in the report.
+ * @type {Object<string, Function>}
+ */
+const BATCH_HANDLERS = {
+  summary: async items => ({
+    first: items[0],
+    last: items[items.length - 1],
+  }),
+  collect: async items => ({ items }),
+  checksum: async items => ({
+    sha256: crypto
+      .createHash('sha256')
+      .update(items.map(item => (typeof item === 'string' ? item : JSON.stringify(item))).join('\n'))
+      .digest('hex'),
+  }),
+};
+
+/**
+ * Validates batching parameters
+ * @param {Object} params - Raw parameters from request
+ * @returns {Object} Validated parameters
+ * @throws {CustomError} 400 for unknown handlers or formats
+ */
+const validateBatchParams = params => {
+  const handler = params.handler || 'summary';
+  const format = params.format || 'lines';
+
+  if (!Object.hasOwn(BATCH_HANDLERS, handler)) {
+    throw new CustomError(`Invalid handler. Use one of: ${Object.keys(BATCH_HANDLERS).join(', ')}`, 400);
+  }
+
+  if (!['lines', 'jsonl'].includes(format)) {
+    throw new CustomError('Invalid format. Use one of: lines, jsonl', 400);
+  }
+
+  const maxWait = parseInt(params.maxWait);
+
+  return {
+    maxCount: Math.min(parseInt(params.maxCount) || LIMITS.BATCH_COUNT, LIMITS.MAX_BATCH_COUNT),
+    maxBytes: Math.min(parseInt(params.maxBytes) || LIMITS.BATCH_BYTES, LIMITS.MAX_BATCH_BYTES),
+    maxWait: Number.isNaN(maxWait) ? LIMITS.BATCH_WAIT : Math.min(Math.max(maxWait, 0), LIMITS.MAX_BATCH_WAIT),
+    delay: Math.min(Math.max(parseInt(params.delay) || 0, 0), LIMITS.MAX_BATCH_HANDLER_DELAY),
+    handler,
+    format,
+  };
+};
+
+/**
+ * Validates multipart upload parameters
+ * @param {Object} params - Raw parameters from request
+ * @returns {Object} Validated parameters
+ * @throws {CustomError} 400 for MIME types outside ALLOWED_MIME_TYPES
+ */
+const validateUploadParams = params => {
+  const allowedTypes = params.allowedTypes
+    ? params.allowedTypes
+        .split(',')
+        .map(type => type.trim().toLowerCase())
+        .filter(Boolean)
+    : ALLOWED_MIME_TYPES;
+
+  const unsupported = allowedTypes.filter(type => !ALLOWED_MIME_TYPES.includes(type));
+  if (unsupported.length) {
+    throw new CustomError(
+      `Unsupported MIME types: ${unsupported.join(', ')}. Allowed: ${ALLOWED_MIME_TYPES.join(', ')}`,
+      400,
+    );
+  }
+
+  return {
+    maxFileSize: Math.min(parseInt(params.maxFileSize) || LIMITS.MAX_UPLOAD_FILE_SIZE, LIMITS.MAX_UPLOAD_FILE_SIZE),
+    maxFiles: Math.min(parseInt(params.maxFiles) || LIMITS.MAX_UPLOAD_FILES, LIMITS.MAX_UPLOAD_FILES),
+    allowedTypes,
+  };
+};
+
+/**
+ * Parses a tus Upload-Metadata header ("key base64value,key2 base64value2")
+ * @param {string} [header] - Raw header value
+ * @returns {Object<string, string>} Decoded metadata
+ * @throws {CustomError} 400 for malformed pairs
+ */
+const parseUploadMetadata = header => {
+  const metadata = {};
+
+  if (!header) {
+    return metadata;
+  }
+
+  for (const pair of header.split(',')) {
+    const [key, value = '', ...rest] = pair.trim().split(' ');
+    if (!key || rest.length) {
+      throw new CustomError(`Malformed Upload-Metadata pair: ${pair}`, 400);
+    }
+    metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+  }
+
+  return metadata;
+};
+
+/**
+ * Gets the on-disk paths of a resumable upload
+ * @param {string} id - Upload id
+ * @returns {{infoPath: string, partPath: string}} Paths of the info file and the partial data
+ * @throws {CustomError} 404 for ids that are not upload ids
+ */
+const resumablePaths = id => {
+  if (!/^[0-9a-f-]{36}$/.test(id)) {
+    throw new CustomError('Upload not found', 404);
+  }
+
+  return {
+    infoPath: resolveSandboxPath(RESUMABLE_DIR, `${id}.json`),
+    partPath: resolveSandboxPath(RESUMABLE_DIR, `${id}.part`),
+  };
+};
+
+/**
+ * Loads the state of a resumable upload from disk.
+ * The offset is always the size of the partial file, so bytes written before a dropped connection count.
+ * @async
+ * @param {string} id - Upload id
+ * @returns {Promise<Object>} Upload info with id, length, offset, metadata and paths
+ * @throws {CustomError} 404 for unknown uploads
+ */
+const loadResumableUpload = async id => {
+  const { infoPath, partPath } = resumablePaths(id);
+
+  try {
+    const info = JSON.parse(await fsPromises.readFile(infoPath, 'utf8'));
+    const { size } = await fsPromises.stat(partPath);
+    return { ...info, offset: size, infoPath, partPath };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new CustomError('Upload not found', 404);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Runs a task while holding the lock of a resumable upload, so chunks, assembly and deletion never overlap
+ * @async
+ * @param {string} id - Upload id
+ * @param {Function} task - Async function working on the upload
+ * @returns {Promise<*>} Result of the task
+ * @throws {CustomError} 409 while another request holds the lock, 404 when the upload files are gone
+ */
+const withUploadLock = async (id, task) => {
+  if (LOCKED_UPLOADS.has(id)) {
+    throw new CustomError('Another request is working on this upload', 409);
+  }
+
+  LOCKED_UPLOADS.add(id);
+
+  try {
+    return await task();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new CustomError('Upload not found', 404);
+    }
+    throw error;
+  } finally {
+    LOCKED_UPLOADS.delete(id);
+  }
+};
+
+/**
+ * Removes resumable uploads that received no data for LIMITS.RESUMABLE_UPLOAD_TTL.
+ * Uploads with a request in progress are skipped.
+ * @async
+ * @returns {Promise<number>} Number of uploads removed
+ */
+const sweepExpiredUploads = async () => {
+  const files = await fsPromises.readdir(RESUMABLE_DIR).catch(() => []);
+  const expiredBefore = Date.now() - LIMITS.RESUMABLE_UPLOAD_TTL;
+  let removed = 0;
+
+  for (const file of files.filter(name => name.endsWith('.json'))) {
+    const id = path.basename(file, '.json');
+
+    try {
+      await withUploadLock(id, async () => {
+        const { infoPath, partPath } = resumablePaths(id);
+        // The partial file changes with every chunk, the info file only at creation
+        const { mtimeMs } = await fsPromises.stat(partPath).catch(() => fsPromises.stat(infoPath));
+
+        if (mtimeMs < expiredBefore) {
+          await fsPromises.rm(partPath, { force: true });
+          await fsPromises.rm(infoPath, { force: true });
+          removed++;
+        }
+      });
+    } catch {
+      // Busy, already gone or not an upload
+    }
+  }
+
+  return removed;
+};
+
+/**
+ * Reads the expected checksum from the Upload-Checksum header ("sha256 <base64>")
+ * or the checksum/algorithm query parameters (hex digest)
+ * @param {Object} request - Fastify request object
+ * @returns {{algorithm: string, digest: string}|null} Expected hex digest, null when none was sent
+ * @throws {CustomError} 400 for unsupported algorithms or malformed values
+ */
+const parseExpectedChecksum = request => {
+  const header = request.headers['upload-checksum'];
+  let algorithm;
+  let digest;
+
+  if (header) {
+    const [name, value] = header.trim().split(' ');
+    algorithm = name?.toLowerCase();
+    digest = value && Buffer.from(value, 'base64').toString('hex');
+  } else if (request.query.checksum) {
+    algorithm = (request.query.algorithm || 'sha256').toLowerCase();
+    digest = request.query.checksum.toLowerCase();
+  } else {
+    return null;
+  }
+
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm)) {
+    throw new CustomError(`Unsupported checksum algorithm. Use one of: ${CHECKSUM_ALGORITHMS.join(', ')}`, 400);
+  }
+
+  if (!digest || !/^[0-9a-f]+$/.test(digest)) {
+    throw new CustomError('Malformed checksum', 400);
+  }
+
+  return { algorithm, digest };
+};
+
+/**
+ * Built-in line processors, selectable by name with the processor parameter
+ * @type {Object<string, Function>}
+ */
+const PROCESSORS = {
+  uppercase: line => line.toUpperCase(),
+  lowercase: line => line.toLowerCase(),
+  reverse: line => line.split('').reverse().join(''),
+  wordCount: line => `${line} (${line.split(' ').length} words)`,
+  truncate: line => line.slice(0, LIMITS.MAX_LINE_LENGTH),
+};
+
+/**
+ * Built-in line validators, selectable by name with the validator parameter or as rule types
+ * @type {Object<string, Function>}
+ */
+const VALIDATORS = {
+  nonEmpty: line => line.trim().length > 0,
+  email: line => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(line.trim()),
+  number: line => !isNaN(parseFloat(line.trim())),
+  minLength: line => line.trim().length >= 3,
+};
+
+/**
+ * Date format tokens and their allowed ranges
+ * @type {Object<string, {pattern: string, min: number, max: number}>}
+ */
+const DATE_TOKENS = {
+  YYYY: { pattern: '(\\d{4})', min: 0, max: 9999 },
+  MM: { pattern: '(\\d{2})', min: 1, max: 12 },
+  DD: { pattern: '(\\d{2})', min: 1, max: 31 },
+  HH: { pattern: '(\\d{2})', min: 0, max: 23 },
+  mm: { pattern: '(\\d{2})', min: 0, max: 59 },
+  ss: { pattern: '(\\d{2})', min: 0, max: 59 },
+};
+
+/**
+ * Creates a 400 error pointing at a location inside the posted rule set
+ * @param {string} location - Path of the offending rule, e.g. "rules.and[1]"
+ * @param {string} message - What is wrong with it
+ * @returns {CustomError} Error to throw
+ */
+const ruleError = (location, message) => new CustomError(`Invalid validation rule at ${location}: ${message}`, 400);
+
+/**
+ * Reads an optional numeric bound from a rule
+ * @param {Object} rule - Rule definition
+ * @param {string} key - Bound name ("min" or "max")
+ * @param {string} location - Rule location for error messages
+ * @returns {number|undefined} Bound value
+ * @throws {CustomError} 400 when the bound is not a finite number
+ */
+const ruleBound = (rule, key, location) => {
+  if (rule[key] === undefined) {
+    return undefined;
+  }
+  if (typeof rule[key] !== 'number' || !Number.isFinite(rule[key])) {
+    throw ruleError(location, `${key} must be a number`);
+  }
+  return rule[key];
+};
+
+/**
+ * Compiles a date format such as "YYYY-MM-DD HH:mm:ss" or "iso" into a checker
+ * @param {string} format - Date format
+ * @param {string} location - Rule location for error messages
+ * @returns {Function} Checker returning true or a reason
+ */
+const compileDateFormat = (format, location) => {
+  if (format === 'iso') {
+    return value =>
+      /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/.test(value) && !isNaN(Date.parse(value))
+        ? true
+        : 'Not an ISO 8601 date';
+  }
+
+  if (typeof format !== 'string' || !format) {
+    throw ruleError(location, 'format must be "iso" or a pattern like "YYYY-MM-DD"');
+  }
+
+  const tokens = [];
+  const source = format
+    .split(/(YYYY|MM|DD|HH|mm|ss)/)
+    .map(part => {
+      if (DATE_TOKENS[part]) {
+        tokens.push(part);
+        return DATE_TOKENS[part].pattern;
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  if (!tokens.length) {
+    throw ruleError(location, 'format must contain at least one of YYYY, MM, DD, HH, mm, ss');
+  }
+
+  const regex = new RegExp(`^${source}$`);
+
+  return value => {
+    const match = regex.exec(value);
+    if (!match) {
+      return `Does not match date format ${format}`;
+    }
+
+    const parts = {};
+    tokens.forEach((token, index) => (parts[token] = parseInt(match[index + 1], 10)));
+
+    for (const token of tokens) {
+      if (parts[token] < DATE_TOKENS[token].min || parts[token] > DATE_TOKENS[token].max) {
+        return `Invalid ${token} value ${match[tokens.indexOf(token) + 1]}`;
+      }
+    }
+
+    // Catch days that do not exist in the month, e.g. 2023-02-30
+    if (parts.DD !== undefined && parts.MM !== undefined) {
+      const year = parts.YYYY ?? 2000;
+      if (parts.DD > new Date(Date.UTC(year, parts.MM, 0)).getUTCDate()) {
+        return `Day ${parts.DD} does not exist in ${year}-${String(parts.MM).padStart(2, '0')}`;
+      }
+    }
+
+    return true;
+  };
+};
+
+/**
+ * Ajv regex engine for `pattern` and `patternProperties`, so client schemas get linear-time matching too
+ * @param {string} pattern - Pattern from the schema
+ * @param {string} flags - Flags Ajv adds (u)
+ * @returns {SafeRegex} Compiled pattern
+ */
+const safeRegExpEngine = (pattern, flags) => new SafeRegex(pattern, flags);
+// Ajv only uses this to print standalone validation code
+safeRegExpEngine.code = 'new SafeRegex';
+
+/**
+ * Rule type factories. Each receives the rule definition and its location,
+ * and returns a checker that maps a value to true or a failure reason.
+ * @type {Object<string, Function>}
+ */
+const RULE_TYPES = {
+  regex: (rule, location) => {
+    if (typeof rule.pattern !== 'string' || rule.pattern.length > LIMITS.MAX_PATTERN_LENGTH) {
+      throw ruleError(location, `pattern must be a string of at most ${LIMITS.MAX_PATTERN_LENGTH} characters`);
+    }
+    if (rule.flags !== undefined && !/^[imsu]*$/.test(rule.flags)) {
+      throw ruleError(location, 'flags may only contain i, m, s and u');
+    }
+
+    let regex;
+    try {
+      regex = new SafeRegex(rule.pattern, rule.flags);
+    } catch (error) {
+      throw ruleError(location, error.message);
+    }
+
+    return value => (regex.test(value) ? true : `Does not match /${rule.pattern}/${rule.flags || ''}`);
+  },
+
+  length: (rule, location) => {
+    const min = ruleBound(rule, 'min', location);
+    const max = ruleBound(rule, 'max', location);
+
+    return value => {
+      if (min !== undefined && value.length < min) {
+        return `Length ${value.length} is below minimum ${min}`;
+      }
+      if (max !== undefined && value.length > max) {
+        return `Length ${value.length} exceeds maximum ${max}`;
+      }
+      return true;
+    };
+  },
+
+  range: (rule, location) => {
+    const min = ruleBound(rule, 'min', location);
+    const max = ruleBound(rule, 'max', location);
+    const integer = rule.integer === true;
+
+    return value => {
+      const number = value.trim() === '' ? NaN : Number(value);
+      if (Number.isNaN(number)) {
+        return `"${value}" is not a number`;
+      }
+      if (integer && !Number.isInteger(number)) {
+        return `${number} is not an integer`;
+      }
+      if (min !== undefined && number < min) {
+        return `${number} is below minimum ${min}`;
+      }
+      if (max !== undefined && number > max) {
+        return `${number} exceeds maximum ${max}`;
+      }
+      return true;
+    };
+  },
+
+  date: (rule, location) => compileDateFormat(rule.format ?? 'iso', location),
+
+  enum: (rule, location) => {
+    if (
+      !Array.isArray(rule.values) ||
+      !rule.values.length ||
+      rule.values.length > LIMITS.MAX_ENUM_VALUES ||
+      rule.values.some(value => typeof value !== 'string')
+    ) {
+      throw ruleError(location, `values must be a list of 1-${LIMITS.MAX_ENUM_VALUES} strings`);
+    }
+
+    const caseSensitive = rule.caseSensitive !== false;
+    const normalize = value => (caseSensitive ? value.trim() : value.trim().toLowerCase());
+    const allowed = new Set(rule.values.map(normalize));
+
+    return value => (allowed.has(normalize(value)) ? true : `"${value.trim()}" is not one of the allowed values`);
+  },
+
+  jsonSchema: (rule, location) => {
+    if (!rule.schema || typeof rule.schema !== 'object') {
+      throw ruleError(location, 'schema must be a JSON Schema object');
+    }
+
+    // A fresh instance per rule, Ajv caches every compiled schema for the lifetime of the instance
+    const ajv = new Ajv({ allErrors: false, strict: false, code: { regExp: safeRegExpEngine } });
+
+    let validate;
+    try {
+      validate = ajv.compile(rule.schema);
+    } catch (error) {
+      throw ruleError(location, error.message);
+    }
+
+    return value => {
+      let data;
+      try {
+        data = JSON.parse(value);
+      } catch (error) {
+        return `Invalid JSON: ${error.message}`;
+      }
+      return validate(data) ? true : ajv.errorsText(validate.errors, { dataVar: 'line' });
+    };
+  },
+};
+
+// The built-in validators are rule types too, e.g. { "type": "email" }
+for (const [name, validator] of Object.entries(VALIDATORS)) {
+  RULE_TYPES[name] = () => value => (validator(value) ? true : `Failed ${name} check`);
+}
+
+/**
+ * Compiles a validation rule set into a line validator.
+ * A rule is a rule name ("email"), a typed rule ({ "type": "range", "min": 0 }),
+ * or a combination ({ "and": [...] }, { "or": [...] }, { "not": rule }).
+ * Typed rules may select a CSV column with "column" and "delimiter",
+ * and replace the failure reason with "message".
+ * @param {string|Object} rule - Rule definition
+ * @param {string} [location='rules'] - Path of the rule, used in error messages
+ * @param {Object} [state={ nodes: 0 }] - Shared node counter
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {Function} Validator returning true or a failure reason for a line
+ * @throws {CustomError} 400 for malformed rules or rule sets over the limits
+ */
+const compileRule = (rule, location = 'rules', state = { nodes: 0 }, depth = 0) => {
+  if (++state.nodes > LIMITS.MAX_RULE_NODES) {
+    throw ruleError(location, `rule sets are limited to ${LIMITS.MAX_RULE_NODES} rules`);
+  }
+  if (depth > LIMITS.MAX_RULE_DEPTH) {
+    throw ruleError(location, `rules may be nested at most ${LIMITS.MAX_RULE_DEPTH} levels deep`);
+  }
+
+  if (typeof rule === 'string') {
+    rule = { type: rule };
+  }
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw ruleError(location, 'must be a rule name or an object');
+  }
+
+  if (rule.and !== undefined || rule.or !== undefined) {
+    const key = rule.and !== undefined ? 'and' : 'or';
+    if (!Array.isArray(rule[key]) || !rule[key].length) {
+      throw ruleError(location, `${key} must be a non-empty list of rules`);
+    }
+
+    const checks = rule[key].map((child, index) =>
+      compileRule(child, `${location}.${key}[${index}]`, state, depth + 1),
+    );
+
+    if (key === 'and') {
+      return line => {
+        for (const check of checks) {
+          const outcome = check(line);
+          if (outcome !== true) {
+            return rule.message || outcome;
+          }
+        }
+        return true;
+      };
+    }
+
+    return line => {
+      const reasons = [];
+      for (const check of checks) {
+        const outcome = check(line);
+        if (outcome === true) {
+          return true;
+        }
+        reasons.push(outcome);
+      }
+      return rule.message || `None of the alternatives matched (${reasons.join('; ')})`;
+    };
+  }
+
+  if (rule.not !== undefined) {
+    const check = compileRule(rule.not, `${location}.not`, state, depth + 1);
+    return line => (check(line) === true ? rule.message || 'Matched a rule that must not match' : true);
+  }
+
+  const factory = Object.hasOwn(RULE_TYPES, rule.type) ? RULE_TYPES[rule.type] : null;
+  if (!factory) {
+    throw ruleError(location, `unknown type "${rule.type}". Use one of: ${Object.keys(RULE_TYPES).join(', ')}`);
+  }
+
+  const check = factory(rule, location);
+
+  if (rule.column === undefined) {
+    return line => {
+      const outcome = check(line);
+      return outcome === true ? true : rule.message || outcome;
+    };
+  }
+
+  if (!Number.isInteger(rule.column) || rule.column < 0) {
+    throw ruleError(location, 'column must be a non-negative integer');
+  }
+
+  const delimiter = typeof rule.delimiter === 'string' && rule.delimiter ? rule.delimiter : ',';
+
+  return line => {
+    const value = line.split(delimiter)[rule.column];
+    if (value === undefined) {
+      return rule.message || `Column ${rule.column} is missing`;
+    }
+    const outcome = check(value);
+    return outcome === true ? true : rule.message || `Column ${rule.column}: ${outcome}`;
+  };
+};
+
+/**
+ * Reads a posted validation rule set from a header or, failing that, a query parameter
+ * @param {Object} request - Fastify request object
+ * @param {string} [header='x-validation-rules'] - Header carrying the JSON rule set
+ * @param {string} [param='rules'] - Query parameter carrying the JSON rule set
+ * @returns {Function|null} Compiled validator, null when no rules were sent
+ * @throws {CustomError} 400 for invalid JSON or invalid rules
+ */
+const parseValidationRules = (request, header = 'x-validation-rules', param = 'rules') => {
+  const raw = request.headers[header] ?? request.query[param];
+
+  if (!raw) {
+    return null;
+  }
+
+  let rules;
+  try {
+    rules = JSON.parse(raw);
+  } catch (error) {
+    throw new CustomError(`Validation rules must be valid JSON: ${error.message}`, 400);
+  }
+
+  return compileRule(rules);
+};
+
+/**
+ * Validates dedup parameters of the collect route
+ * @param {Object} params - Raw parameters from request
+ * @returns {Object} Validated parameters
+ * @throws {CustomError} 400 for unknown modes or a key mode without keyPath
+ */
+const validateDedupParams = params => {
+  const dedup = params.dedup || null;
+
+  if (dedup && !['line', 'key'].includes(dedup)) {
+    throw new CustomError('Invalid dedup mode. Use one of: line, key', 400);
+  }
+
+  if (dedup === 'key' && !params.keyPath) {
+    throw new CustomError('dedup=key requires a keyPath, e.g. keyPath=order.id', 400);
+  }
+
+  return {
+    dedup,
+    keyPath: params.keyPath || null,
+    scope: params.dedupScope || 'default',
+  };
+};
+
+/**
+ * Hashes the raw request body while it is read, replacing request.body with the hashed stream
+ * @param {Object} request - Fastify request object whose body is the raw payload stream
+ * @returns {HashStream} Stream whose digest is the body hash once it has ended
+ */
+const hashRequestBody = request => {
+  const hash = new HashStream();
+  const source = request.body || Readable.from([]);
+
+  source.on('error', error => hash.destroy(error));
+  request.body = source.pipe(hash);
+  return hash;
+};
+
+/**
+ * Runs a handler at most once per Idempotency-Key header.
+ * A repeated key with the same URL and body gets the stored payload back without running the handler again,
+ * a repeated key with another request is rejected, as is a key still in progress.
+ * Failed requests are not stored and may be retried.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} reply - Fastify reply object
+ * @param {number} maxSize - Maximum body size in bytes
+ * @param {Function} handler - Async function producing the response payload
+ * @returns {Promise<Object>} Fastify reply
+ * @throws {CustomError} 400 for oversized keys, 409 for keys still in progress,
+ * 413 for large bodies, 422 for keys reused with another request
+ */
+const sendIdempotent = async (request, reply, maxSize, handler) => {
+  const key = request.headers['idempotency-key'];
+
+  if (!key) {
+    return reply.send(await handler());
+  }
+
+  if (key.length > LIMITS.MAX_IDEMPOTENCY_KEY_LENGTH) {
+    throw new CustomError(`Idempotency-Key is limited to ${LIMITS.MAX_IDEMPOTENCY_KEY_LENGTH} characters`, 400);
+  }
+
+  const cacheKey = `${request.routeOptions.url}:${key}`;
+  const body = hashRequestBody(request);
+  const fingerprint = () => crypto.createHash('sha256').update(`${request.url}\n${body.digest()}`).digest('hex');
+
+  if (IDEMPOTENT_RESPONSES.has(cacheKey)) {
+    const stored = IDEMPOTENT_RESPONSES.get(cacheKey);
+    // The body has to be read to tell whether this is the same request
+    await streamRequestBody(request, new Writable({ write: (chunk, encoding, callback) => callback() }), maxSize);
+
+    if (stored.fingerprint !== fingerprint()) {
+      throw new CustomError('This Idempotency-Key was already used with a different request', 422);
+    }
+    return reply.header('idempotent-replayed', 'true').send(stored.payload);
+  }
+
+  if (PENDING_IDEMPOTENCY_KEYS.has(cacheKey)) {
+    throw new CustomError('A request with this Idempotency-Key is still in progress', 409);
+  }
+
+  PENDING_IDEMPOTENCY_KEYS.add(cacheKey);
+
+  try {
+    const payload = await handler();
+    IDEMPOTENT_RESPONSES.set(cacheKey, { fingerprint: fingerprint(), payload });
+    return reply.header('idempotent-replayed', 'false').send(payload);
+  } finally {
+    PENDING_IDEMPOTENCY_KEYS.delete(cacheKey);
+  }
+};
+
+/**
+ * Sends the results of a line stream, or only its dead letters as a JSONL download
+ * @param {Object} reply - Fastify reply object
+ * @param {LineProcessorStream|ValidationStream} stream - Finished stream
+ * @param {string} format - "response" or "jsonl"
+ * @param {string} message - Success message for the JSON response
+ * @param {Object|null} retry - Retry summary, if a retry pass ran
+ * @returns {Object} Fastify reply
+ */
+const sendWithDeadLetters = (reply, stream, format, message, retry) => {
+  if (format === 'jsonl') {
+    return reply
+      .type('application/x-ndjson')
+      .header('content-disposition', 'attachment; filename="dead-letters.jsonl"')
+      .send(stream.deadLetters.toReadable());
+  }
+
+  const results = stream.getResults();
+
+  return reply.send({
+    success: true,
+    message,
+    results: retry ? { ...results, retry } : results,
+  });
+};
+
+/**
+ * Fastify route handler for data collection writable stream
+ * Accepts POST data and collects it in memory with statistics.
+ * Duplicate lines can be dropped, and a repeated Idempotency-Key replays the first response to the same request.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Readable} request.body - Raw request body stream
+ * @param {Object} request.query - Query parameters
+ * @param {string} [request.query.dedup] - Drop duplicate lines by "line" hash or JSON "key"
+ * @param {string} [request.query.keyPath] - Dot separated key path for dedup=key
+ * @param {string} [request.query.dedupScope='default'] - Namespace for dedup keys
+ * @param {string} [request.headers.idempotency-key] - Request level idempotency key
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Collection results with statistics
+ * @throws {CustomError} 400 for invalid dedup parameters, 409 for an Idempotency-Key in progress, 413 for large bodies,
+ * 422 for an Idempotency-Key reused with another request
+ * @example
+ * // POST /api/v1/writable/collect
+ * // Body: "Line 1\nLine 2\nLine 3"
+ * // Response: { data: "Line 1\nLine 2\nLine 3", stats: { chunks: 1, bytes: 21, lines: 3 } }
+ * @example
+ * // POST /api/v1/writable/collect?dedup=key&keyPath=order.id
+ * // Body: '{"order":{"id":1}}\n{"order":{"id":1}}'
+ * // Response: { data: '{"order":{"id":1}}\n', stats: { duplicates: 1 } }
+ */
+const collectData = async (request, reply) => {
+  const { maxSize } = validateParams(request.query);
+  const { dedup, keyPath, scope } = validateDedupParams(request.query);
+
+  return sendIdempotent(request, reply, maxSize, async () => {
+    const collector = new DataCollectorStream({ maxSize, dedup, keyPath, scope, seen: SEEN_KEYS });
+
+    // Stream request body into the collector as it arrives
+    await streamRequestBody(request, collector, maxSize);
+
+    return {
+      success: true,
+      message: 'Data collected successfully',
+      results: collector.getResults(),
+    };
+  });
+};
+
+/**
+ * Fastify route handler for line processing writable stream
+ * Processes incoming data line by line with transformations.
+ * Rejected lines end up in the dead letter channel, optionally retried with another processor.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Readable} request.body - Raw request body stream
+ * @param {Object} request.query - Query parameters
+ * @param {string} [request.query.expression] - User-defined processor, see compileExpression
+ * @param {string} [request.headers.x-line-processor] - Same as expression, without URL encoding
+ * @param {string} [request.query.deadLetters='response'] - "jsonl" to download only the dead letters
+ * @param {string} [request.query.retry] - Processor for a second pass over the dead letters
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Processing results with transformed lines and dead letters
+ * @throws {CustomError} 400 for unknown retry processors or invalid expressions
+ * @example
+ * // POST /api/v1/writable/process?processor=uppercase
+ * // Body: "hello\nworld"
+ * // Response: { processedLines: ["HELLO", "WORLD"], stats: { linesProcessed: 2 } }
+ * @example
+ * // POST /api/v1/writable/process
+ * // X-Line-Processor: {{lineNumber | padStart(3, '0')}}: {{split(',')[2] | trim | upper}}
+ * // Body: "1,alice, admin\n2,bob, user"
+ * // Response: { processedLines: ["001: ADMIN", "002: USER"] }
+ * @example
+ * // POST /api/v1/writable/process?retry=truncate&deadLetters=jsonl
+ * // Response: {"line":3,"reason":"Line length 612 exceeds maximum of 500","content":"...","retry":{"recovered":true,"output":"..."}}
+ */
+const processLines = async (request, reply) => {
+  const { maxSize, processor, expression, deadLetters, retry } = validateParams(request.query);
+
+  if (retry && !Object.hasOwn(PROCESSORS, retry)) {
+    throw new CustomError(`Invalid retry processor. Use one of: ${Object.keys(PROCESSORS).join(', ')}`, 400);
+  }
+
+  // A user-defined expression wins over the named processors
+  const source = request.headers['x-line-processor'] ?? expression;
+  const processorFn = source
+    ? compileExpression(source)
+    : Object.hasOwn(PROCESSORS, processor)
+      ? PROCESSORS[processor]
+      : PROCESSORS.uppercase;
+  const lineProcessor = new LineProcessorStream({ processor: processorFn });
+
+  await streamRequestBody(request, lineProcessor, maxSize);
+
+  const retrySummary = retry
+    ? lineProcessor.deadLetters.retry(retry, content => {
+        try {
+          return { ok: true, output: PROCESSORS[retry](content) };
+        } catch (error) {
+          return { ok: false, reason: `Processor failed: ${error.message}` };
+        }
+      })
+    : null;
+
+  return sendWithDeadLetters(reply, lineProcessor, deadLetters, 'Lines processed successfully', retrySummary);
+};
+
+/**
+ * Fastify route handler for data validation writable stream
+ * Validates incoming data and separates valid/invalid entries, invalid lines go to the dead letter channel.
+ * A JSON rule set in the X-Validation-Rules header (or rules query parameter) replaces the built-in validator.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Readable} request.body - Raw request body stream
+ * @param {Object} request.query - Query parameters
+ * @param {string} [request.headers.x-validation-rules] - JSON rule set, see compileRule
+ * @param {string} [request.headers.x-retry-validation-rules] - JSON rule set for a second pass over the dead letters
+ * @param {string} [request.query.retry] - Built-in validator for a second pass over the dead letters
+ * @param {string} [request.query.deadLetters='response'] - "jsonl" to download only the dead letters
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Validation results with separated data and dead letters with per-line reasons
+ * @throws {CustomError} 400 for invalid rule sets or retry validators
+ * @example
+ * // POST /api/v1/writable/validate?validator=email
+ * // Body: "test@example.com\ninvalid-email\nuser@domain.org"
+ * // Response: { validLines: ["test@example.com", "user@domain.org"], invalidLines: ["invalid-email"] }
+ * @example
+ * // POST /api/v1/writable/validate
+ * // X-Validation-Rules: {"and":[{"type":"date","format":"YYYY-MM-DD","column":0},{"type":"range","min":0,"column":1}]}
+ * // Body: "2024-01-31,10\n2024-02-30,5"
+ * // Response: { failures: [{ line: 2, content: "2024-02-30,5", reason: "Column 0: Day 30 does not exist in 2024-02" }],
+ * //   deadLetters: [{ line: 2, reason: "Column 0: Day 30 does not exist in 2024-02", content: "2024-02-30,5" }] }
+ */
+const validateData = async (request, reply) => {
+  const { maxSize, validator, deadLetters, retry } = validateParams(request.query);
+
+  const builtin = Object.hasOwn(VALIDATORS, validator) ? validator : 'nonEmpty';
+  const validatorFn = parseValidationRules(request) || RULE_TYPES[builtin]();
+
+  if (retry && !Object.hasOwn(VALIDATORS, retry)) {
+    throw new CustomError(`Invalid retry validator. Use one of: ${Object.keys(VALIDATORS).join(', ')}`, 400);
+  }
+
+  const retryRules = parseValidationRules(request, 'x-retry-validation-rules', 'retryRules');
+  const retryFn = retryRules || (retry && RULE_TYPES[retry]());
+
+  const validationStream = new ValidationStream({ validator: validatorFn });
+
+  await streamRequestBody(request, validationStream, maxSize);
 
-  const bodyData = request.body || '';
+  const retrySummary = retryFn
+    ? validationStream.deadLetters.retry(retryRules ? 'rules' : retry, content => {
+        const outcome = retryFn(content);
+        return outcome === true ? { ok: true, output: content } : { ok: false, reason: outcome };
+      })
+    : null;
 
-  collector.write(bodyData);
-  collector.end();
+  return sendWithDeadLetters(reply, validationStream, deadLetters, 'Data validated successfully', retrySummary);
+};
+
+/**
+ * Fastify route handler for streaming data upload
+ * Handles streaming upload with real-time processing
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Upload results
+ */
+const streamUpload = async (request, reply) => {
+  const { maxSize } = validateParams(request.query);
+
+  const collector = new DataCollectorStream({ maxSize });
+
+  await streamRequestBody(request, collector, maxSize);
 
   const results = collector.getResults();
 
@@ -401,9 +2303,384 @@ const streamUpload = async (request, reply) => {
   });
 };
 
+/**
+ * Fastify route handler for multipart file uploads
+ * Streams every file part into the sandboxed uploads directory while computing its SHA-256,
+ * and answers with a manifest of the stored files.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Readable} request.body - Raw multipart request body stream
+ * @param {Object} request.query - Query parameters
+ * @param {string} [request.query.maxFileSize] - Maximum size per file in bytes
+ * @param {string} [request.query.maxFiles] - Maximum number of files
+ * @param {string} [request.query.allowedTypes] - Comma separated list of accepted MIME types
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Upload manifest
+ * @throws {CustomError} 400 for empty uploads, 413 for size limits, 415 for disallowed types
+ * @example
+ * // POST /api/v1/writable/multipart?maxFileSize=1048576&allowedTypes=text/plain,text/csv
+ * // Body: multipart/form-data with one or more file parts
+ * // Response: { files: [{ field: "file", filename: "a.csv", storedAs: "<uuid>.csv", bytes: 120, sha256: "..." }] }
+ */
+const multipartUpload = async (request, reply) => {
+  const { maxFileSize, maxFiles, allowedTypes } = validateUploadParams(request.query);
+
+  await fsPromises.mkdir(UPLOADS_DIR, { recursive: true });
+
+  const uploader = new MultipartUploadStream({
+    headers: request.headers,
+    maxFileSize,
+    maxFiles,
+    allowedTypes,
+  });
+
+  try {
+    await streamRequestBody(request, uploader, LIMITS.MAX_UPLOAD_SIZE);
+  } catch (error) {
+    // Do not leave partial files behind
+    await uploader.cleanup();
+    throw error;
+  }
+
+  const results = uploader.getResults();
+
+  if (results.stats.files === 0) {
+    throw new CustomError('No files received for upload', 400);
+  }
+
+  return reply.send({
+    success: true,
+    message: 'Files uploaded successfully',
+    results,
+  });
+};
+
+/**
+ * Fastify route handler creating a resumable upload
+ * Reserves an id and an empty partial file, following the tus creation flow.
+ * Uploads that received no data for LIMITS.RESUMABLE_UPLOAD_TTL are removed first.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {string} request.headers.upload-length - Total size of the upload in bytes
+ * @param {string} [request.headers.upload-metadata] - tus metadata, e.g. "filename ZGF0YS5jc3Y="
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Upload id, offset and length
+ * @throws {CustomError} 400 for a missing or invalid length, 413 above MAX_RESUMABLE_SIZE
+ * @example
+ * // POST /api/v1/writable/resumable
+ * // Headers: Upload-Length: 1048576, Upload-Metadata: filename ZGF0YS5jc3Y=
+ * // Response: 201 { id: "<uuid>", offset: 0, length: 1048576 }
+ */
+const createResumableUpload = async (request, reply) => {
+  const length = Number(request.headers['upload-length'] ?? request.query.length);
+
+  if (!Number.isSafeInteger(length) || length < 0) {
+    throw new CustomError('Upload-Length must be a non-negative integer', 400);
+  }
+
+  if (length > LIMITS.MAX_RESUMABLE_SIZE) {
+    throw new CustomError(`Upload-Length exceeds maximum of ${LIMITS.MAX_RESUMABLE_SIZE} bytes`, 413);
+  }
+
+  const metadata = parseUploadMetadata(request.headers['upload-metadata']);
+  const id = crypto.randomUUID();
+  const { infoPath, partPath } = resumablePaths(id);
+
+  await sweepExpiredUploads();
+  await fsPromises.mkdir(RESUMABLE_DIR, { recursive: true });
+  await fsPromises.writeFile(partPath, '');
+  await fsPromises.writeFile(infoPath, JSON.stringify({ id, length, metadata, createdAt: new Date().toISOString() }));
+
+  return reply
+    .status(201)
+    .header('location', `${request.url.split('?')[0]}/${id}`)
+    .header('upload-offset', 0)
+    .header('upload-length', length)
+    .send({
+      success: true,
+      message: 'Resumable upload created',
+      results: { id, offset: 0, length, metadata },
+    });
+};
+
+/**
+ * Fastify route handler reporting the current offset of a resumable upload
+ * Answers a HEAD request with Upload-Offset and Upload-Length headers only.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {string} request.params.id - Upload id
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<void>}
+ * @throws {CustomError} 404 for unknown uploads
+ */
+const getResumableOffset = async (request, reply) => {
+  const upload = await loadResumableUpload(request.params.id);
+
+  return reply
+    .header('cache-control', 'no-store')
+    .header('upload-offset', upload.offset)
+    .header('upload-length', upload.length)
+    .send();
+};
+
+/**
+ * Fastify route handler appending a chunk to a resumable upload
+ * The body is streamed straight onto the partial file, so an interrupted chunk still advances the offset.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {string} request.params.id - Upload id
+ * @param {string} request.headers.upload-offset - Offset the chunk starts at, must match the stored offset
+ * @param {Readable} request.body - Raw chunk stream
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} New offset
+ * @throws {CustomError} 404 for unknown uploads, 409 for offset mismatches or busy uploads, 413 past Upload-Length
+ * @example
+ * // PATCH /api/v1/writable/resumable/<uuid>
+ * // Headers: Upload-Offset: 0, Content-Type: application/offset+octet-stream
+ * // Response: { id: "<uuid>", offset: 524288, length: 1048576 }
+ */
+const appendResumableChunk = async (request, reply) => {
+  const { id } = request.params;
+  const offset = Number(request.headers['upload-offset']);
+
+  if (!Number.isSafeInteger(offset)) {
+    throw new CustomError('Upload-Offset header is required', 400);
+  }
+
+  // Locked before the offset is read, so a concurrent chunk is told the upload is busy rather than behind
+  await withUploadLock(id, async () => {
+    const upload = await loadResumableUpload(id);
+
+    if (offset !== upload.offset) {
+      throw new CustomError(`Upload-Offset ${offset} does not match current offset ${upload.offset}`, 409);
+    }
+
+    await streamRequestBody(
+      request,
+      fs.createWriteStream(upload.partPath, { flags: 'a' }),
+      upload.length - upload.offset,
+    );
+  });
+
+  const { offset: newOffset, length } = await loadResumableUpload(id);
+
+  return reply
+    .header('upload-offset', newOffset)
+    .header('upload-length', length)
+    .send({
+      success: true,
+      message: newOffset === length ? 'Upload complete, ready to assemble' : 'Chunk stored',
+      results: { id, offset: newOffset, length },
+    });
+};
+
+/**
+ * Fastify route handler assembling a finished resumable upload
+ * Verifies the checksum of the whole file and moves it into the uploads directory.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {string} request.params.id - Upload id
+ * @param {string} [request.headers.upload-checksum] - Expected checksum, e.g. "sha256 <base64>"
+ * @param {string} [request.query.checksum] - Expected hex digest when no header is sent
+ * @param {string} [request.query.algorithm='sha256'] - Algorithm of the query checksum
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Manifest of the stored file
+ * @throws {CustomError} 404 for unknown uploads, 409 for incomplete or busy uploads, 422 for checksum mismatches
+ * @example
+ * // POST /api/v1/writable/resumable/<uuid>/assemble?checksum=<sha256 hex>
+ * // Response: { id: "<uuid>", storedAs: "<uuid>.csv", bytes: 1048576, sha256: "..." }
+ */
+const assembleResumableUpload = async (request, reply) => {
+  const { id } = request.params;
+  const expected = parseExpectedChecksum(request);
+
+  const results = await withUploadLock(id, () => assembleUpload(id, expected));
+
+  return reply.send({
+    success: true,
+    message: expected ? 'Upload assembled and checksum verified' : 'Upload assembled',
+    results,
+  });
+};
+
+/**
+ * Verifies a finished resumable upload and moves it into the uploads directory; the caller holds its lock
+ * @async
+ * @param {string} id - Upload id
+ * @param {{algorithm: string, digest: string}|null} expected - Expected checksum
+ * @returns {Promise<Object>} Manifest of the stored file
+ * @throws {CustomError} 404 for unknown uploads, 409 for incomplete uploads, 422 for checksum mismatches
+ */
+const assembleUpload = async (id, expected) => {
+  const upload = await loadResumableUpload(id);
+
+  if (upload.offset !== upload.length) {
+    throw new CustomError(`Upload is incomplete: ${upload.offset} of ${upload.length} bytes received`, 409);
+  }
+
+  const sha256 = new HashStream();
+  const hashers = [sha256];
+  if (expected && expected.algorithm !== 'sha256') {
+    hashers.push(new HashStream({ algorithm: expected.algorithm }));
+  }
+
+  await pipeline(fs.createReadStream(upload.partPath), ...hashers, new Writable({ write: (chunk, enc, cb) => cb() }));
+
+  const digests = hashers.map(hasher => hasher.digest());
+  const actual = digests[digests.length - 1];
+
+  if (expected && actual !== expected.digest) {
+    await fsPromises.rm(upload.partPath, { force: true });
+    await fsPromises.rm(upload.infoPath, { force: true });
+    throw new CustomError(`Checksum mismatch: expected ${expected.digest}, got ${actual}. Upload discarded`, 422);
+  }
+
+  const extension = path.extname(upload.metadata.filename || '').toLowerCase();
+  const storedAs = id + (/^\.[a-z0-9]{1,10}$/.test(extension) ? extension : '');
+
+  await fsPromises.mkdir(UPLOADS_DIR, { recursive: true });
+  await fsPromises.rename(upload.partPath, resolveSandboxPath(UPLOADS_DIR, storedAs));
+  await fsPromises.rm(upload.infoPath, { force: true });
+
+  return {
+    id,
+    filename: upload.metadata.filename || null,
+    storedAs,
+    bytes: upload.length,
+    sha256: digests[0],
+    checksum: expected ? { algorithm: expected.algorithm, verified: true } : null,
+  };
+};
+
+/**
+ * Fastify route handler discarding a resumable upload and its partial data
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {string} request.params.id - Upload id
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Deleted upload id
+ * @throws {CustomError} 404 for unknown uploads, 409 while another request works on the upload
+ */
+const deleteResumableUpload = async (request, reply) => {
+  const { id } = request.params;
+
+  await withUploadLock(id, async () => {
+    const upload = await loadResumableUpload(id);
+    await fsPromises.rm(upload.partPath, { force: true });
+    await fsPromises.rm(upload.infoPath, { force: true });
+  });
+
+  return reply.send({
+    success: true,
+    message: 'Resumable upload deleted',
+    results: { id },
+  });
+};
+
+/**
+ * Fastify route handler for the rotating file sink
+ * Appends the streamed lines to sinks/<name>.log, rotating by size or age.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Readable} request.body - Raw request body stream
+ * @param {Object} request.query - Query parameters
+ * @param {string} [request.query.name='sink'] - Sink name
+ * @param {string} [request.query.maxBytes] - Rotation size in bytes
+ * @param {string} [request.query.interval] - Rotation age in ms
+ * @param {string} [request.query.gzip] - "true" to gzip rotated files
+ * @param {string} [request.query.maxSize] - Maximum request body size in bytes
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Active and rotated files with byte counts
+ * @throws {CustomError} 400 for invalid names, 409 while the sink is written by another request, 413 for large bodies
+ * @example
+ * // POST /api/v1/writable/sink?name=orders&maxBytes=1024&gzip=true
+ * // Body: "line 1\nline 2\n..."
+ * // Response: { active: { file: "orders.log", bytes: 120 }, rotated: [{ file: "orders.<time>.0.log.gz", bytes: 1020, reason: "size" }] }
+ */
+const fileSink = async (request, reply) => {
+  const { maxSize } = validateParams(request.query);
+  const { name, maxBytes, interval, gzip } = validateSinkParams(request.query);
+
+  if (LOCKED_SINKS.has(name)) {
+    throw new CustomError(`Sink ${name} is being written by another request`, 409);
+  }
+
+  LOCKED_SINKS.add(name);
+
+  try {
+    const sink = new RotatingFileStream({ name, maxBytes, interval, gzip });
+
+    await streamRequestBody(request, sink, maxSize);
+
+    return reply.send({
+      success: true,
+      message: 'Data written to file sink',
+      results: sink.getResults(),
+    });
+  } finally {
+    LOCKED_SINKS.delete(name);
+  }
+};
+
+/**
+ * Fastify route handler for the batching writable
+ * Splits the streamed body into lines (or JSONL objects) and groups them into batches
+ * by count, byte size or max wait time. Each batch goes through the selected handler,
+ * optionally delayed to simulate a slow downstream system.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @param {Readable} request.body - Raw request body stream
+ * @param {Object} request.query - Query parameters
+ * @param {string} [request.query.maxCount] - Items per batch
+ * @param {string} [request.query.maxBytes] - Bytes per batch
+ * @param {string} [request.query.maxWait] - Maximum age of an open batch in ms, 0 disables it
+ * @param {string} [request.query.handler='summary'] - Batch handler (summary, collect, checksum)
+ * @param {string} [request.query.delay] - Simulated handler latency in ms
+ * @param {string} [request.query.format='lines'] - Input format (lines, jsonl)
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object>} Batch boundaries, flush reasons and latency per batch
+ * @throws {CustomError} 400 for invalid parameters or JSON, 413 for large bodies
+ * @example
+ * // POST /api/v1/writable/batch?maxCount=2&handler=checksum
+ * // Body: "a\nb\nc"
+ * // Response: { batches: [{ firstItem: 1, lastItem: 2, reason: "count" }, { firstItem: 3, lastItem: 3, reason: "end" }] }
+ */
+const batchData = async (request, reply) => {
+  const { maxSize } = validateParams(request.query);
+  const { maxCount, maxBytes, maxWait, delay, handler, format } = validateBatchParams(request.query);
+
+  const batcher = new BatchingWritable({
+    maxCount,
+    maxBytes,
+    maxWait,
+    handler: async (items, batch) => {
+      if (delay) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+      return BATCH_HANDLERS[handler](items, batch);
+    },
+  });
+
+  await streamRequestBody(request, new LineSplitStream({ json: format === 'jsonl' }), maxSize, batcher);
+
+  return reply.send({
+    success: true,
+    message: 'Data batched successfully',
+    results: batcher.getResults(),
+  });
+};
+
 module.exports = {
   collectData,
   processLines,
   validateData,
   streamUpload,
+  multipartUpload,
+  createResumableUpload,
+  getResumableOffset,
+  appendResumableChunk,
+  assembleResumableUpload,
+  deleteResumableUpload,
+  fileSink,
+  batchData,
 };
@@ -0,0 +1,358 @@
+const CustomError = require('./CustomError');
+const SafeRegex = require('./SafeRegex');
+
+/**
+ * Limits for personality definitions
+ * @readonly
+ * @enum {number}
+ */
+const LIMITS = {
+  /** Maximum number of personalities added at runtime */
+  MAX_CUSTOM_PERSONALITIES: 20,
+  /** Maximum number of intents per personality */
+  MAX_INTENTS: 50,
+  /** Maximum number of patterns per intent */
+  MAX_PATTERNS: 20,
+  /** Maximum regex pattern length */
+  MAX_PATTERN_LENGTH: 200,
+  /** Maximum number of keywords per pattern */
+  MAX_KEYWORDS: 50,
+  /** Maximum number of response templates per intent */
+  MAX_RESPONSES: 20,
+  /** Maximum response template length */
+  MAX_RESPONSE_LENGTH: 500,
+  /** Maximum length of personality, intent, slot and keyword names */
+  MAX_NAME_LENGTH: 40,
+};
+
+/**
+ * Intents answered without a pattern: "fallback" when nothing matches, "end" when the conversation ends
+ * and "repeat" when the caller detects a repeated message
+ * @type {string[]}
+ */
+const SPECIAL_INTENTS = ['fallback', 'end', 'repeat'];
+
+/**
+ * Matches {slot} placeholders in response templates
+ * @type {RegExp}
+ */
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+/**
+ * Creates a definition error pointing at the offending part of the definition
+ * @param {string} location - Path inside the definition, e.g. "intents[2].patterns[0]"
+ * @param {string} message - What is wrong
+ * @returns {CustomError} 400 error
+ */
+const definitionError = (location, message) => new CustomError(`Invalid personality ${location}: ${message}`, 400);
+
+/**
+ * Checks a personality, intent, slot or keyword name
+ * @param {*} name - Name to check
+ * @param {string} location - Path inside the definition
+ * @returns {string} The same name
+ * @throws {CustomError} 400 when the name is not 1-40 letters, digits, dashes or underscores
+ */
+const checkName = (name, location) => {
+  if (typeof name !== 'string' || name.length > LIMITS.MAX_NAME_LENGTH || !/^[\w-]+$/.test(name)) {
+    throw definitionError(location, `must be 1-${LIMITS.MAX_NAME_LENGTH} letters, digits, dashes or underscores`);
+  }
+  return name;
+};
+
+/**
+ * Checks that a value is an array with a bounded number of items
+ * @param {*} value - Value to check
+ * @param {string} location - Path inside the definition
+ * @param {number} max - Maximum number of items
+ * @returns {Array} The same array
+ * @throws {CustomError} 400 for empty, oversized or non-array values
+ */
+const checkList = (value, location, max) => {
+  if (!Array.isArray(value) || value.length === 0 || value.length > max) {
+    throw definitionError(location, `must be an array of 1-${max} items`);
+  }
+  return value;
+};
+
+/**
+ * Escapes a string for use inside a regex
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compiles an intent pattern. Regex patterns capture slots with named groups and run on RE2,
+ * so a loaded personality cannot make matching backtrack; keyword patterns match any of the words
+ * or phrases as whole words.
+ * @param {Object} pattern - { regex, flags } or { keywords }
+ * @param {string} location - Path inside the definition
+ * @returns {SafeRegex|RegExp} Compiled pattern
+ * @throws {CustomError} 400 for invalid patterns
+ * @example
+ * compilePattern({ regex: 'weather in (?<city>\\w+)', flags: 'i' }, 'intents[0].patterns[0]');
+ * compilePattern({ keywords: ['bye', 'see you'] }, 'intents[1].patterns[0]');
+ */
+const compilePattern = (pattern, location) => {
+  if (pattern?.regex !== undefined) {
+    if (typeof pattern.regex !== 'string' || pattern.regex.length > LIMITS.MAX_PATTERN_LENGTH) {
+      throw definitionError(location, `regex must be a string of at most ${LIMITS.MAX_PATTERN_LENGTH} characters`);
+    }
+    if (pattern.flags !== undefined && !/^[imsu]*$/.test(pattern.flags)) {
+      throw definitionError(location, 'flags may only contain i, m, s and u');
+    }
+
+    try {
+      return new SafeRegex(pattern.regex, pattern.flags);
+    } catch (error) {
+      throw definitionError(location, error.message);
+    }
+  }
+
+  if (pattern?.keywords !== undefined) {
+    const keywords = checkList(pattern.keywords, `${location}.keywords`, LIMITS.MAX_KEYWORDS);
+    keywords.forEach((keyword, index) => {
+      if (typeof keyword !== 'string' || !keyword.trim() || keyword.length > LIMITS.MAX_NAME_LENGTH) {
+        throw definitionError(`${location}.keywords[${index}]`, `must be 1-${LIMITS.MAX_NAME_LENGTH} characters`);
+      }
+    });
+
+    // \b only knows ASCII words, so look for letters and digits around the keyword instead.
+    // Lookarounds need native RegExp, which is safe here as the keywords are escaped literals
+    const alternatives = keywords.map(keyword => escapeRegex(keyword.trim())).join('|');
+    return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives})(?![\\p{L}\\p{N}_])`, 'iu');
+  }
+
+  throw definitionError(location, 'must have a regex or keywords');
+};
+
+/**
+ * Compiles an intent definition
+ * @param {Object} intent - { name, patterns, remember }
+ * @param {string} location - Path inside the definition
+ * @returns {{name: string, patterns: Array<SafeRegex|RegExp>, remember: string[]}} Compiled intent
+ * @throws {CustomError} 400 for invalid intents
+ */
+const compileIntent = (intent, location) => {
+  const name = checkName(intent?.name, `${location}.name`);
+  if (SPECIAL_INTENTS.includes(name)) {
+    throw definitionError(`${location}.name`, `"${name}" is reserved`);
+  }
+
+  const patterns = checkList(intent.patterns, `${location}.patterns`, LIMITS.MAX_PATTERNS).map((pattern, index) =>
+    compilePattern(pattern, `${location}.patterns[${index}]`),
+  );
+
+  const remember = intent.remember ?? [];
+  if (!Array.isArray(remember)) {
+    throw definitionError(`${location}.remember`, 'must be an array of slot names');
+  }
+  remember.forEach((slot, index) => checkName(slot, `${location}.remember[${index}]`));
+
+  return { name, patterns, remember };
+};
+
+/**
+ * Checks a map of intent names to response templates
+ * @param {*} responses - Responses from the definition
+ * @param {string} location - Path inside the definition
+ * @param {Set<string>} intentNames - Intents the responses may refer to
+ * @returns {Object<string, string[]>} The same responses
+ * @throws {CustomError} 400 for unknown intents or invalid templates
+ */
+const checkResponses = (responses, location, intentNames) => {
+  if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+    throw definitionError(location, 'must be an object of intent names to response lists');
+  }
+
+  for (const [intent, templates] of Object.entries(responses)) {
+    if (!intentNames.has(intent)) {
+      throw definitionError(`${location}.${intent}`, 'is not a known intent');
+    }
+    checkList(templates, `${location}.${intent}`, LIMITS.MAX_RESPONSES).forEach((template, index) => {
+      if (typeof template !== 'string' || !template.trim() || template.length > LIMITS.MAX_RESPONSE_LENGTH) {
+        throw definitionError(`${location}.${intent}[${index}]`, `must be 1-${LIMITS.MAX_RESPONSE_LENGTH} characters`);
+      }
+    });
+  }
+
+  return responses;
+};
+
+/**
+ * Lists the placeholders of a template
+ * @param {string} template - Response template
+ * @returns {string[]} Slot names
+ */
+const placeholdersOf = template => [...template.matchAll(PLACEHOLDER)].map(match => match[1]);
+
+/**
+ * Matches chat messages to intents and answers them with personality-specific templates.
+ * Intents are shared by every personality; a personality can add its own, which are tried first.
+ * Templates use {slot} placeholders filled from captured slots and remembered facts.
+ */
+class IntentEngine {
+  /**
+   * Creates an IntentEngine instance
+   * @param {Object} options - Engine options
+   * @param {Object[]} options.intents - Shared intent definitions, tried in order
+   * @param {Object<string, string[]>} options.responses - Default responses for intents a personality does not answer
+   * @param {Object[]} options.personalities - Built-in personality definitions
+   */
+  constructor(options) {
+    this.intents = options.intents.map((intent, index) => compileIntent(intent, `intents[${index}]`));
+    this.intentNames = new Set([...SPECIAL_INTENTS, ...this.intents.map(intent => intent.name)]);
+    this.responses = checkResponses(options.responses, 'responses', this.intentNames);
+    this.personalities = new Map();
+
+    options.personalities.forEach(definition => this._register(definition, true));
+  }
+
+  /**
+   * Validates, compiles and stores a personality
+   * @param {Object} definition - Personality definition
+   * @param {boolean} builtIn - Whether the personality ships with the server
+   * @returns {Object} Compiled personality
+   * @throws {CustomError} 400 for invalid definitions
+   * @private
+   */
+  _register(definition, builtIn) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw definitionError('definition', 'must be a JSON object');
+    }
+
+    const name = checkName(definition.name, 'name');
+    const ownIntents = definition.intents ?? [];
+    if (!Array.isArray(ownIntents) || ownIntents.length > LIMITS.MAX_INTENTS) {
+      throw definitionError('intents', `must be an array of at most ${LIMITS.MAX_INTENTS} items`);
+    }
+    const intents = ownIntents.map((intent, index) => compileIntent(intent, `intents[${index}]`));
+
+    const intentNames = new Set([...this.intentNames, ...intents.map(intent => intent.name)]);
+    const responses = checkResponses(definition.responses, 'responses', intentNames);
+    if (!responses.fallback) {
+      throw definitionError('responses.fallback', 'is required');
+    }
+
+    const description = typeof definition.description === 'string' ? definition.description.slice(0, 200) : '';
+    const personality = { name, description, builtIn, intents, responses };
+    this.personalities.set(name, personality);
+    return personality;
+  }
+
+  /**
+   * Adds or replaces a custom personality
+   * @param {Object} definition - Personality definition
+   * @param {string} definition.name - Personality name
+   * @param {string} [definition.description] - Short description
+   * @param {Object[]} [definition.intents] - Extra intents, tried before the shared ones
+   * @param {Object<string, string[]>} definition.responses - Templates per intent, "fallback" is required
+   * @returns {Object} Personality summary
+   * @throws {CustomError} 400 for invalid definitions, 409 for built-in names or when too many are loaded
+   * @example
+   * engine.addPersonality({
+   *   name: 'pirate',
+   *   intents: [{ name: 'treasure', patterns: [{ regex: 'where is the (?<item>\\w+)', flags: 'i' }] }],
+   *   responses: { greeting: ['Ahoy, {name}!', 'Ahoy!'], treasure: ['The {item} be buried.'], fallback: ['Arr?'] },
+   * });
+   */
+  addPersonality(definition) {
+    const existing = this.personalities.get(definition?.name);
+    if (existing?.builtIn) {
+      throw new CustomError(`Built-in personality "${existing.name}" cannot be replaced`, 409);
+    }
+
+    const customCount = [...this.personalities.values()].filter(personality => !personality.builtIn).length;
+    if (!existing && customCount >= LIMITS.MAX_CUSTOM_PERSONALITIES) {
+      throw new CustomError(`At most ${LIMITS.MAX_CUSTOM_PERSONALITIES} custom personalities can be loaded`, 409);
+    }
+
+    return this._summarize(this._register(definition, false));
+  }
+
+  /**
+   * Checks whether a personality exists
+   * @param {string} name - Personality name
+   * @returns {boolean} True when it can be used
+   */
+  hasPersonality(name) {
+    return this.personalities.has(name);
+  }
+
+  /**
+   * Lists the loaded personalities
+   * @returns {Object[]} Personality summaries
+   */
+  listPersonalities() {
+    return [...this.personalities.values()].map(personality => this._summarize(personality));
+  }
+
+  /**
+   * Gets a personality summary
+   * @param {Object} personality - Compiled personality
+   * @returns {Object} Name, description, own intents and answered intents
+   * @private
+   */
+  _summarize(personality) {
+    return {
+      name: personality.name,
+      description: personality.description,
+      builtIn: personality.builtIn,
+      intents: personality.intents.map(intent => intent.name),
+      responses: Object.keys(personality.responses),
+    };
+  }
+
+  /**
+   * Finds the first intent matching a message
+   * @param {string} personalityName - Personality whose own intents are tried first
+   * @param {string} input - User message
+   * @returns {{intent: string, slots: Object<string, string>, remember: string[]}} Matched intent,
+   *   "fallback" when nothing matches
+   */
+  match(personalityName, input) {
+    const personality = this.personalities.get(personalityName);
+
+    for (const intent of [...(personality?.intents ?? []), ...this.intents]) {
+      for (const pattern of intent.patterns) {
+        const match = pattern.exec(input);
+        if (match) {
+          return { intent: intent.name, slots: { ...match.groups }, remember: intent.remember };
+        }
+      }
+    }
+
+    return { intent: 'fallback', slots: {}, remember: [] };
+  }
+
+  /**
+   * Picks and fills a response template. Only templates whose placeholders all have values qualify,
+   * and among those the ones using the most values win, so known facts make answers more specific.
+   * @param {string} personalityName - Personality answering
+   * @param {string} intent - Intent to answer
+   * @param {Object<string, string>} values - Slot and fact values for the placeholders
+   * @param {Function} random - Random number source in [0, 1), seeded for reproducible answers
+   * @returns {string} Response
+   */
+  respond(personalityName, intent, values, random) {
+    const personality = this.personalities.get(personalityName);
+    const templates = personality.responses[intent] ?? this.responses[intent] ?? personality.responses.fallback;
+    // Own properties only, so {constructor} or {toString} never render inherited functions
+    const hasValue = slot =>
+      Object.hasOwn(values, slot) && values[slot] !== undefined && values[slot] !== null && values[slot] !== '';
+
+    const eligible = templates.filter(template => placeholdersOf(template).every(hasValue));
+    const counts = (eligible.length ? eligible : templates).map(template => placeholdersOf(template).length);
+    // Without a fully filled template, settle for the one leaving the fewest blanks
+    const wanted = eligible.length ? Math.max(...counts) : Math.min(...counts);
+    const best = (eligible.length ? eligible : templates).filter(
+      template => placeholdersOf(template).length === wanted,
+    );
+
+    const template = best[Math.floor(random() * best.length)];
+    return template.replace(PLACEHOLDER, (placeholder, slot) => (hasValue(slot) ? String(values[slot]) : ''));
+  }
+}
+
+module.exports = IntentEngine;
@@ -0,0 +1,85 @@
+/**
+ * A bounded key-value store that evicts the least recently used entry once it is full.
+ * Relies on Map keeping insertion order: the first key is always the oldest one.
+ */
+class LRUCache {
+  /**
+   * Creates an LRUCache instance
+   * @param {Object} options - Cache options
+   * @param {number} options.max - Maximum number of entries
+   */
+  constructor(options) {
+    this.max = options.max;
+    this.map = new Map();
+    this.evictions = 0;
+  }
+
+  /**
+   * Number of entries in the cache
+   * @type {number}
+   */
+  get size() {
+    return this.map.size;
+  }
+
+  /**
+   * Checks for a key without refreshing it
+   * @param {*} key - Entry key
+   * @returns {boolean} True when the key is cached
+   */
+  has(key) {
+    return this.map.has(key);
+  }
+
+  /**
+   * Gets a value and marks it as most recently used
+   * @param {*} key - Entry key
+   * @returns {*} Cached value, undefined when missing
+   */
+  get(key) {
+    if (!this.map.has(key)) {
+      return undefined;
+    }
+    const value = this.map.get(key);
+    this.map.delete(key);
+    this.map.set(key, value);
+    return value;
+  }
+
+  /**
+   * Stores a value as most recently used, evicting the oldest entry when full
+   * @param {*} key - Entry key
+   * @param {*} value - Value to store
+   * @returns {LRUCache} The cache, for chaining
+   */
+  set(key, value) {
+    this.map.delete(key);
+    this.map.set(key, value);
+
+    if (this.map.size > this.max) {
+      this.map.delete(this.map.keys().next().value);
+      this.evictions++;
+    }
+
+    return this;
+  }
+
+  /**
+   * Removes an entry
+   * @param {*} key - Entry key
+   * @returns {boolean} True when an entry was removed
+   */
+  delete(key) {
+    return this.map.delete(key);
+  }
+
+  /**
+   * Iterates over the entries from least to most recently used, without refreshing them
+   * @returns {Iterator<Array>} [key, value] pairs
+   */
+  entries() {
+    return this.map.entries();
+  }
+}
+
+module.exports = LRUCache;
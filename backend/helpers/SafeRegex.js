@@ -0,0 +1,151 @@
+const { RE2JS } = require('re2js');
+
+/**
+ * Regex flags accepted from clients, mapped to RE2 flags.
+ * RE2 always matches by code point, so `u` needs no flag, and `g` only changes replace().
+ * @type {Object<string, number>}
+ */
+const FLAGS = {
+  g: 0,
+  i: RE2JS.CASE_INSENSITIVE,
+  m: RE2JS.MULTILINE,
+  s: RE2JS.DOTALL,
+  u: 0,
+};
+
+/**
+ * A regex for client-supplied patterns, compiled with RE2 so matching takes time linear in the input.
+ * Native RegExp backtracks, and patterns like /^(a+)+$/ can block the event loop for seconds on a short line.
+ * Mirrors the parts of the RegExp API the callers use. Lookarounds and backreferences are not supported.
+ */
+class SafeRegex {
+  /**
+   * Creates a SafeRegex instance
+   * @param {string} source - Pattern in JavaScript syntax
+   * @param {string} [flags=''] - Any of g, i, m, s and u
+   * @throws {Error} For unknown flags or patterns RE2 cannot compile
+   */
+  constructor(source, flags = '') {
+    if (![...flags].every(flag => Object.hasOwn(FLAGS, flag)) || new Set(flags).size !== flags.length) {
+      throw new Error(`Unsupported regex flags "${flags}", use any of ${Object.keys(FLAGS).join('')}`);
+    }
+
+    try {
+      this.pattern = RE2JS.compile(
+        RE2JS.translateRegExp(source),
+        [...flags].reduce((all, flag) => all | FLAGS[flag], 0),
+      );
+    } catch (error) {
+      throw new Error(`Unsupported regex (lookarounds and backreferences are not available): ${error.message}`);
+    }
+
+    this.source = source;
+    this.flags = flags;
+    this.global = flags.includes('g');
+  }
+
+  /**
+   * Checks whether the pattern matches anywhere in the text
+   * @param {string} text - Text to search
+   * @returns {boolean} True on a match
+   */
+  test(text) {
+    return this.pattern.test(text);
+  }
+
+  /**
+   * Finds the first match, shaped like the result of RegExp.prototype.exec
+   * @param {string} text - Text to search
+   * @returns {Array|null} Match and captured groups with `index` and `groups`, or null
+   */
+  exec(text) {
+    const matcher = this.pattern.matcher(text);
+    if (!matcher.find()) {
+      return null;
+    }
+
+    const match = Array.from(
+      { length: this.pattern.groupCount() + 1 },
+      (_, group) => matcher.group(group) ?? undefined,
+    );
+    const names = Object.entries(this.pattern.namedGroups());
+
+    match.index = matcher.start();
+    match.groups = names.length
+      ? Object.assign(Object.create(null), Object.fromEntries(names.map(([name, group]) => [name, match[group]])))
+      : undefined;
+    return match;
+  }
+
+  /**
+   * Replaces the first match, or every match with the g flag.
+   * The replacement understands $&, $1 and $<name> like String.prototype.replace.
+   * @param {string} text - Text to search
+   * @param {string} replacement - Replacement text
+   * @param {number} [maxLength=Infinity] - Maximum length of the result
+   * @returns {string} Text with the matches replaced
+   * @throws {RangeError} As soon as the result grows past maxLength
+   */
+  replace(text, replacement, maxLength = Infinity) {
+    const matcher = this.pattern.matcher(text);
+    let result = '';
+
+    const append = part => {
+      result += part;
+      if (result.length > maxLength) {
+        throw new RangeError(`Replacement result exceeds ${maxLength} characters`);
+      }
+    };
+
+    while (matcher.find()) {
+      append(matcher.appendReplacement(replacement));
+      if (!this.global) {
+        break;
+      }
+    }
+    append(matcher.appendTail());
+    return result;
+  }
+
+  /**
+   * Splits the text around matches like String.prototype.split, including captured groups
+   * @param {string} text - Text to split
+   * @param {number} [limit] - Maximum number of parts
+   * @returns {string[]} Parts
+   */
+  split(text, limit) {
+    if (!text) {
+      return this.test(text) ? [] : [text];
+    }
+
+    const parts = [];
+    const matcher = this.pattern.matcher(text);
+    let last = 0;
+
+    while (matcher.find()) {
+      // Empty matches at the previous split point or at the very end do not split
+      if (matcher.start() >= text.length || matcher.end() === last) {
+        continue;
+      }
+
+      parts.push(text.slice(last, matcher.start()));
+      for (let group = 1; group <= this.pattern.groupCount(); group++) {
+        parts.push(matcher.group(group) ?? undefined);
+      }
+      last = matcher.end();
+    }
+    parts.push(text.slice(last));
+
+    return limit === undefined ? parts : parts.slice(0, limit >>> 0);
+  }
+
+  /**
+   * Formats the regex like a RegExp literal
+   * @returns {string} e.g. "/ab+c/i"
+   */
+  toString() {
+    return `/${this.source}/${this.flags}`;
+  }
+}
+
+module.exports = SafeRegex;
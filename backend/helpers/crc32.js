@@ -0,0 +1,27 @@
+/**
+ * Lookup table for the IEEE 802.3 CRC-32 polynomial (reflected 0xEDB88320)
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = new Uint32Array(256).map((_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc;
+});
+
+/**
+ * Computes the CRC-32 checksum of a buffer (same result as zlib's crc32)
+ * @param {Buffer|Uint8Array} data - Bytes to checksum
+ * @param {number} [initial=0] - Checksum of preceding data, to continue a running checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+const crc32 = (data, initial = 0) => {
+  let crc = ~initial >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+};
+
+module.exports = crc32;
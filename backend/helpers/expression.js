@@ -0,0 +1,504 @@
+const CustomError = require('./CustomError');
+const SafeRegex = require('./SafeRegex');
+
+/**
+ * Limits for user-defined expressions
+ * @readonly
+ * @enum {number}
+ */
+const LIMITS = {
+  /** Maximum length of an expression or template */
+  MAX_SOURCE_LENGTH: 500,
+  /** Maximum number of syntax nodes */
+  MAX_NODES: 100,
+  /** Maximum length of a regex pattern */
+  MAX_PATTERN_LENGTH: 200,
+  /** Maximum target length for padding */
+  MAX_PAD_LENGTH: 1000,
+  /** Maximum length of any string an expression builds, including its output */
+  MAX_TEXT_LENGTH: 10000,
+};
+
+/**
+ * Variables available inside expressions
+ * @type {string[]}
+ */
+const VARIABLES = ['line', 'lineNumber'];
+
+/**
+ * Creates a 400 error for an invalid expression
+ * @param {string} message - What is wrong
+ * @param {number} [position] - Offset in the expression
+ * @returns {CustomError} Error to throw
+ */
+const syntaxError = (message, position) =>
+  new CustomError(`Invalid expression${position === undefined ? '' : ` at position ${position}`}: ${message}`, 400);
+
+/**
+ * Coerces a value to a string for string functions
+ * @param {string} name - Function name for error messages
+ * @param {*} value - Value to coerce
+ * @returns {string} String value
+ * @throws {Error} When the value is not a string or number
+ */
+const toText = (name, value) => {
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  throw new Error(`${name} expects a string but got ${value === undefined ? 'nothing' : typeof value}`);
+};
+
+/**
+ * Checks the length of a string before or after building it, so nested replaces and joins cannot grow without bound
+ * @param {string} name - Function name for error messages
+ * @param {number} length - String length
+ * @throws {Error} When the length is over LIMITS.MAX_TEXT_LENGTH
+ */
+const checkLength = (name, length) => {
+  if (length > LIMITS.MAX_TEXT_LENGTH) {
+    throw new Error(`${name} would build a string over ${LIMITS.MAX_TEXT_LENGTH} characters`);
+  }
+};
+
+/**
+ * Coerces a value to an integer argument
+ * @param {string} name - Function name for error messages
+ * @param {*} value - Value to coerce
+ * @returns {number} Integer value
+ * @throws {Error} When the value is not an integer
+ */
+const toInteger = (name, value) => {
+  const number = typeof value === 'string' ? Number(value) : value;
+  if (!Number.isInteger(number)) {
+    throw new Error(`${name} expects an integer argument`);
+  }
+  return number;
+};
+
+/**
+ * Builds a linear-time regex from a pattern string or regex literal value
+ * @param {string|SafeRegex} pattern - Pattern source or compiled regex
+ * @param {string} [flags=''] - Regex flags
+ * @returns {SafeRegex} Compiled regex
+ * @throws {Error} For long patterns, unknown flags or syntax RE2 does not support
+ */
+const toRegex = (pattern, flags = '') => {
+  if (pattern instanceof SafeRegex) {
+    return pattern;
+  }
+  if (pattern.length > LIMITS.MAX_PATTERN_LENGTH || !/^[gimsu]*$/.test(flags)) {
+    throw new Error(`regex patterns are limited to ${LIMITS.MAX_PATTERN_LENGTH} characters and the flags gimsu`);
+  }
+  return new SafeRegex(pattern, flags);
+};
+
+/**
+ * Functions callable as filters (line | trim), methods (line.trim()) or calls on the line (trim()).
+ * The first argument is always the piped value.
+ * @type {Object<string, {min: number, max: number, fn: Function}>}
+ */
+const FUNCTIONS = {
+  trim: { min: 0, max: 0, fn: value => toText('trim', value).trim() },
+  upper: { min: 0, max: 0, fn: value => toText('upper', value).toUpperCase() },
+  lower: { min: 0, max: 0, fn: value => toText('lower', value).toLowerCase() },
+  title: {
+    min: 0,
+    max: 0,
+    fn: value =>
+      toText('title', value)
+        .toLowerCase()
+        .replace(/\b\w/g, char => char.toUpperCase()),
+  },
+  length: {
+    min: 0,
+    max: 0,
+    fn: value => (Array.isArray(value) ? value.length : toText('length', value).length),
+  },
+  reverse: {
+    min: 0,
+    max: 0,
+    fn: value => (Array.isArray(value) ? [...value].reverse() : [...toText('reverse', value)].reverse().join('')),
+  },
+  split: {
+    min: 1,
+    max: 2,
+    fn: (value, separator, limit) => {
+      const text = toText('split', value);
+      const max = limit === undefined ? undefined : toInteger('split', limit);
+      return separator instanceof SafeRegex ? separator.split(text, max) : text.split(toText('split', separator), max);
+    },
+  },
+  join: {
+    min: 0,
+    max: 1,
+    fn: (value, separator = ',') => {
+      if (!Array.isArray(value)) {
+        throw new Error('join expects a list, use split first');
+      }
+      const text = toText('join', separator);
+      checkLength(
+        'join',
+        value.reduce((length, item) => length + stringify(item).length, text.length * Math.max(value.length - 1, 0)),
+      );
+      return value.join(text);
+    },
+  },
+  replace: {
+    min: 2,
+    max: 3,
+    fn: (value, pattern, replacement, flags) => {
+      const text = toText('replace', value);
+      const substitute = toText('replace', replacement);
+      // A plain string pattern replaces every literal occurrence, unless flags make it a regex
+      if (typeof pattern === 'string' && flags === undefined) {
+        const parts = text.split(pattern);
+        checkLength('replace', text.length + (parts.length - 1) * (substitute.length - pattern.length));
+        return parts.join(substitute);
+      }
+      return toRegex(pattern, flags === undefined ? undefined : toText('replace', flags)).replace(
+        text,
+        substitute,
+        LIMITS.MAX_TEXT_LENGTH,
+      );
+    },
+  },
+  substring: {
+    min: 1,
+    max: 2,
+    fn: (value, start, end) =>
+      toText('substring', value).substring(
+        toInteger('substring', start),
+        end === undefined ? undefined : toInteger('substring', end),
+      ),
+  },
+  slice: {
+    min: 1,
+    max: 2,
+    fn: (value, start, end) =>
+      (Array.isArray(value) ? value : toText('slice', value)).slice(
+        toInteger('slice', start),
+        end === undefined ? undefined : toInteger('slice', end),
+      ),
+  },
+  padStart: {
+    min: 1,
+    max: 2,
+    fn: (value, length, fill = ' ') =>
+      toText('padStart', value).padStart(
+        Math.min(toInteger('padStart', length), LIMITS.MAX_PAD_LENGTH),
+        toText('padStart', fill),
+      ),
+  },
+  padEnd: {
+    min: 1,
+    max: 2,
+    fn: (value, length, fill = ' ') =>
+      toText('padEnd', value).padEnd(
+        Math.min(toInteger('padEnd', length), LIMITS.MAX_PAD_LENGTH),
+        toText('padEnd', fill),
+      ),
+  },
+  at: {
+    min: 1,
+    max: 1,
+    fn: (value, index) => (Array.isArray(value) ? value : toText('at', value)).at(toInteger('at', index)),
+  },
+  first: { min: 0, max: 0, fn: value => (Array.isArray(value) ? value : toText('first', value)).at(0) },
+  last: { min: 0, max: 0, fn: value => (Array.isArray(value) ? value : toText('last', value)).at(-1) },
+  default: {
+    min: 1,
+    max: 1,
+    fn: (value, fallback) => (value === undefined || value === '' ? fallback : value),
+  },
+};
+
+/**
+ * Splits an expression into tokens
+ * @param {string} source - Expression source
+ * @param {number} offset - Offset of the expression inside the whole template
+ * @returns {Array<{type: string, value: *, position: number}>} Tokens
+ * @throws {CustomError} 400 for unexpected characters or unterminated literals
+ */
+const tokenize = (source, offset) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const position = offset + i;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const [name] = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({ type: 'identifier', value: name, position });
+      i += name.length;
+    } else if (/[0-9]/.test(char) || (char === '-' && /[0-9]/.test(source[i + 1] || ''))) {
+      const [number] = source.slice(i).match(/^-?\d+(\.\d+)?/);
+      tokens.push({ type: 'literal', value: Number(number), position });
+      i += number.length;
+    } else if (char === "'" || char === '"') {
+      let value = '';
+      i++;
+      while (i < source.length && source[i] !== char) {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          const escaped = source[++i];
+          value += { n: '\n', t: '\t' }[escaped] ?? escaped;
+        } else {
+          value += source[i];
+        }
+        i++;
+      }
+      if (i >= source.length) {
+        throw syntaxError('unterminated string', position);
+      }
+      i++;
+      tokens.push({ type: 'literal', value, position });
+    } else if (char === '/') {
+      // There is no division, so a slash always starts a regex literal
+      let pattern = '';
+      i++;
+      while (i < source.length && source[i] !== '/') {
+        if (source[i] === '\\' && i + 1 < source.length) {
+          pattern += source[i++];
+        }
+        pattern += source[i++];
+      }
+      if (i >= source.length) {
+        throw syntaxError('unterminated regex', position);
+      }
+      i++;
+      const [flags] = source.slice(i).match(/^[a-z]*/);
+      i += flags.length;
+      try {
+        tokens.push({ type: 'literal', value: toRegex(pattern, flags), position });
+      } catch (error) {
+        throw syntaxError(error.message, position);
+      }
+    } else if ('()[],.|'.includes(char)) {
+      tokens.push({ type: char, value: char, position });
+      i++;
+    } else {
+      throw syntaxError(`unexpected character "${char}"`, position);
+    }
+  }
+
+  tokens.push({ type: 'end', value: null, position: offset + source.length });
+  return tokens;
+};
+
+/**
+ * Parses tokens into a tree of evaluator closures
+ * @param {Array<Object>} tokens - Tokens from tokenize
+ * @param {Object} state - Shared node counter
+ * @returns {Function} Evaluator receiving the context ({ line, lineNumber })
+ * @throws {CustomError} 400 for syntax errors
+ */
+const parse = (tokens, state) => {
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = type => {
+    const token = next();
+    if (token.type !== type) {
+      throw syntaxError(
+        `expected "${type}" but found ${token.type === 'end' ? 'the end' : `"${token.value}"`}`,
+        token.position,
+      );
+    }
+    return token;
+  };
+  const count = position => {
+    if (++state.nodes > LIMITS.MAX_NODES) {
+      throw syntaxError(`expressions are limited to ${LIMITS.MAX_NODES} nodes`, position);
+    }
+  };
+
+  const parseArguments = () => {
+    const args = [];
+    expect('(');
+    if (peek().type !== ')') {
+      args.push(parsePipeline());
+      while (peek().type === ',') {
+        next();
+        args.push(parsePipeline());
+      }
+    }
+    expect(')');
+    return args;
+  };
+
+  // Applies a whitelisted function to the value of target
+  const call = (token, target, args) => {
+    count(token.position);
+    const definition = Object.hasOwn(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+    if (!definition) {
+      throw syntaxError(
+        `unknown function "${token.value}". Use one of: ${Object.keys(FUNCTIONS).join(', ')}`,
+        token.position,
+      );
+    }
+    if (args.length < definition.min || args.length > definition.max) {
+      throw syntaxError(`${token.value} takes ${definition.min}-${definition.max} arguments`, token.position);
+    }
+    return context => {
+      const result = definition.fn(target(context), ...args.map(arg => arg(context)));
+      if (typeof result === 'string') {
+        checkLength(token.value, result.length);
+      }
+      return result;
+    };
+  };
+
+  const parseAtom = () => {
+    const token = next();
+    count(token.position);
+
+    if (token.type === 'literal') {
+      return () => token.value;
+    }
+
+    if (token.type === '(') {
+      const inner = parsePipeline();
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'identifier') {
+      if (peek().type === '(') {
+        // A bare call works on the current line: split(',') is line.split(',')
+        return call(token, context => context.line, parseArguments());
+      }
+      if (VARIABLES.includes(token.value)) {
+        return context => context[token.value];
+      }
+      throw syntaxError(`unknown variable "${token.value}". Use one of: ${VARIABLES.join(', ')}`, token.position);
+    }
+
+    throw syntaxError(`unexpected ${token.type === 'end' ? 'end of expression' : `"${token.value}"`}`, token.position);
+  };
+
+  const parsePostfix = () => {
+    let node = parseAtom();
+
+    while (peek().type === '.' || peek().type === '[') {
+      if (next().type === '.') {
+        const name = expect('identifier');
+        node = call(name, node, peek().type === '(' ? parseArguments() : []);
+      } else {
+        const target = node;
+        const position = parsePipeline();
+        expect(']');
+        node = context => {
+          const value = target(context);
+          if (!Array.isArray(value) && typeof value !== 'string') {
+            throw new Error('only lists and strings can be indexed');
+          }
+          return value.at(toInteger('index', position(context)));
+        };
+      }
+    }
+
+    return node;
+  };
+
+  const parsePipeline = () => {
+    let node = parsePostfix();
+
+    while (peek().type === '|') {
+      next();
+      const name = expect('identifier');
+      node = call(name, node, peek().type === '(' ? parseArguments() : []);
+    }
+
+    return node;
+  };
+
+  const root = parsePipeline();
+  const rest = peek();
+  if (rest.type !== 'end') {
+    throw syntaxError(`unexpected "${rest.value}"`, rest.position);
+  }
+  return root;
+};
+
+/**
+ * Converts an evaluated value to output text
+ * @param {*} value - Evaluated value
+ * @returns {string} Output text, lists are joined with commas
+ */
+const stringify = value => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.join(',');
+  }
+  return String(value);
+};
+
+/**
+ * Checks the length of a processor's output
+ * @param {string} output - Output text
+ * @returns {string} The same text
+ * @throws {Error} When the output is over LIMITS.MAX_TEXT_LENGTH
+ */
+const limitOutput = output => {
+  checkLength('the expression', output.length);
+  return output;
+};
+
+/**
+ * Compiles a user-defined line processor without eval.
+ * The source is either a template with {{ }} placeholders, e.g. "{{line | trim | upper}}",
+ * or a single expression, e.g. "split(',')[2]" or "line.replace(/\s+/g, ' ').padStart(20)".
+ * @param {string} source - Template or expression
+ * @returns {Function} Processor receiving (line, lineNumber) and returning the output text
+ * @throws {CustomError} 400 for invalid expressions
+ */
+const compileExpression = source => {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw syntaxError('expression is empty');
+  }
+  if (source.length > LIMITS.MAX_SOURCE_LENGTH) {
+    throw syntaxError(`expressions are limited to ${LIMITS.MAX_SOURCE_LENGTH} characters`);
+  }
+
+  const state = { nodes: 0 };
+
+  if (!source.includes('{{')) {
+    const evaluate = parse(tokenize(source, 0), state);
+    return (line, lineNumber) => limitOutput(stringify(evaluate({ line, lineNumber })));
+  }
+
+  const parts = [];
+  const placeholder = /\{\{([\s\S]*?)\}\}/g;
+  let last = 0;
+  let match;
+
+  while ((match = placeholder.exec(source))) {
+    const text = source.slice(last, match.index);
+    parts.push(() => text);
+    parts.push(parse(tokenize(match[1], match.index + 2), state));
+    last = match.index + match[0].length;
+  }
+
+  if (source.indexOf('{{', last) !== -1) {
+    throw syntaxError('unterminated {{', source.indexOf('{{', last));
+  }
+
+  const tail = source.slice(last);
+  parts.push(() => tail);
+
+  return (line, lineNumber) => limitOutput(parts.map(part => stringify(part({ line, lineNumber }))).join(''));
+};
+
+module.exports = {
+  FUNCTIONS,
+  VARIABLES,
+  compileExpression,
+};
@@ -0,0 +1,459 @@
+const CustomError = require('./CustomError');
+
+/**
+ * Framing limits
+ * @readonly
+ * @enum {number}
+ */
+const LIMITS = {
+  /** Default maximum size of one decoded frame in bytes */
+  MAX_FRAME_SIZE: 1024 * 1024,
+};
+
+const NEWLINE = 0x0a;
+const WHITESPACE = [0x20, 0x09, 0x0d, NEWLINE];
+
+/**
+ * Base class of the decoders. Subclasses add messages in _decode and _end and throw for bad input.
+ * push and end never throw: they return the messages decoded in front of a malformed frame along with the error,
+ * so callers can handle those before reporting it. Once failed, a decoder only returns its error.
+ */
+class FrameDecoder {
+  /**
+   * Creates a FrameDecoder instance
+   * @param {number} maxFrameSize - Maximum frame size in bytes
+   */
+  constructor(maxFrameSize) {
+    this.maxFrameSize = maxFrameSize;
+    this.buffer = Buffer.alloc(0);
+    this.error = null;
+  }
+
+  /**
+   * Decodes the complete messages of a chunk
+   * @param {Buffer} chunk - Incoming bytes
+   * @returns {{messages: Buffer[], error: Error|null}} Complete messages, and the error that stopped decoding
+   */
+  push(chunk) {
+    return this._run(messages => this._decode(chunk, messages));
+  }
+
+  /**
+   * Decodes what is left once the input has ended
+   * @returns {{messages: Buffer[], error: Error|null}} Remaining messages, and the error for leftover bytes
+   */
+  end() {
+    return this._run(messages => this._end(messages));
+  }
+
+  /**
+   * Runs a decoding step, catching its error
+   * @param {Function} decode - Step adding to the messages array
+   * @returns {{messages: Buffer[], error: Error|null}} Decoded messages and error
+   * @private
+   */
+  _run(decode) {
+    const messages = [];
+    if (!this.error) {
+      try {
+        decode(messages);
+      } catch (error) {
+        this.error = error;
+      }
+    }
+    return { messages, error: this.error };
+  }
+}
+
+/**
+ * Splits newline-delimited messages. Lines are trimmed and blank lines skipped,
+ * so the messages themselves cannot contain newlines.
+ */
+class NewlineDecoder extends FrameDecoder {
+  /**
+   * Decodes the complete lines of a chunk
+   * @param {Buffer} chunk - Incoming bytes
+   * @param {Buffer[]} messages - Decoded messages
+   * @throws {Error} When a line grows past the frame limit
+   * @protected
+   */
+  _decode(chunk, messages) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let index;
+    while ((index = this.buffer.indexOf(NEWLINE)) !== -1) {
+      this._add(messages, this.buffer.subarray(0, index));
+      this.buffer = this.buffer.subarray(index + 1);
+    }
+
+    if (this.buffer.length > this.maxFrameSize) {
+      throw new Error(`Line exceeds ${this.maxFrameSize} bytes`);
+    }
+  }
+
+  /**
+   * Decodes the last line, which needs no trailing newline
+   * @param {Buffer[]} messages - Decoded messages
+   * @protected
+   */
+  _end(messages) {
+    this._add(messages, this.buffer);
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * Adds a trimmed line unless it is blank
+   * @param {Buffer[]} messages - Decoded messages
+   * @param {Buffer} line - Raw line
+   * @private
+   */
+  _add(messages, line) {
+    const text = line.toString().trim();
+    if (text) {
+      messages.push(Buffer.from(text));
+    }
+  }
+}
+
+/**
+ * Splits messages prefixed with their length as a 4-byte big-endian unsigned integer.
+ * Binary safe: payloads may contain any byte, including newlines.
+ */
+class LengthPrefixDecoder extends FrameDecoder {
+  /**
+   * Decodes the complete frames of a chunk
+   * @param {Buffer} chunk - Incoming bytes
+   * @param {Buffer[]} messages - Decoded messages
+   * @throws {Error} When a frame declares a payload past the frame limit
+   * @protected
+   */
+  _decode(chunk, messages) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.buffer.length >= 4) {
+      const length = this.buffer.readUInt32BE(0);
+      if (length > this.maxFrameSize) {
+        throw new Error(`Frame of ${length} bytes exceeds ${this.maxFrameSize} bytes`);
+      }
+      if (this.buffer.length < 4 + length) {
+        break;
+      }
+
+      messages.push(Buffer.from(this.buffer.subarray(4, 4 + length)));
+      this.buffer = this.buffer.subarray(4 + length);
+    }
+  }
+
+  /**
+   * Checks that no partial frame is left
+   * @throws {Error} When the input ended inside a frame
+   * @protected
+   */
+  _end() {
+    if (this.buffer.length) {
+      throw new Error(`Input ended inside a frame (${this.buffer.length} bytes left)`);
+    }
+  }
+}
+
+/**
+ * Splits netstrings: the decimal payload length, a colon, the payload and a comma, e.g. "5:hello,".
+ * Binary safe like length prefixes, but readable in a terminal.
+ */
+class NetstringDecoder extends FrameDecoder {
+  /**
+   * Creates a NetstringDecoder instance
+   * @param {number} maxFrameSize - Maximum payload size in bytes
+   */
+  constructor(maxFrameSize) {
+    super(maxFrameSize);
+    this.maxDigits = String(maxFrameSize).length;
+  }
+
+  /**
+   * Decodes the complete netstrings of a chunk
+   * @param {Buffer} chunk - Incoming bytes
+   * @param {Buffer[]} messages - Decoded messages
+   * @throws {Error} For malformed netstrings or payloads past the frame limit
+   * @protected
+   */
+  _decode(chunk, messages) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    for (;;) {
+      // Whitespace between netstrings is tolerated, e.g. when typed line by line
+      const start = this.buffer.findIndex(byte => !WHITESPACE.includes(byte));
+      this.buffer = this.buffer.subarray(start === -1 ? this.buffer.length : start);
+
+      const colon = this.buffer.indexOf(':');
+      if (colon === -1) {
+        if (this.buffer.length > this.maxDigits) {
+          throw new Error('Netstring length is missing its colon');
+        }
+        break;
+      }
+
+      const digits = this.buffer.subarray(0, colon).toString();
+      if (!/^(0|[1-9]\d*)$/.test(digits)) {
+        throw new Error(`Invalid netstring length "${digits.slice(0, 20)}"`);
+      }
+
+      const length = Number(digits);
+      if (length > this.maxFrameSize) {
+        throw new Error(`Frame of ${length} bytes exceeds ${this.maxFrameSize} bytes`);
+      }
+
+      const end = colon + 1 + length;
+      if (this.buffer.length <= end) {
+        break;
+      }
+      if (this.buffer[end] !== 0x2c) {
+        throw new Error('Netstring is missing its trailing comma');
+      }
+
+      messages.push(Buffer.from(this.buffer.subarray(colon + 1, end)));
+      this.buffer = this.buffer.subarray(end + 1);
+    }
+  }
+
+  /**
+   * Checks that no partial netstring is left
+   * @throws {Error} When the input ended inside a netstring
+   * @protected
+   */
+  _end() {
+    if (this.buffer.length) {
+      throw new Error(`Input ended inside a netstring (${this.buffer.length} bytes left)`);
+    }
+  }
+}
+
+/**
+ * Splits a stream of concatenated JSON objects or arrays into their JSON texts,
+ * tracking nesting and strings so no delimiter is needed between them
+ */
+class JsonFrameDecoder extends FrameDecoder {
+  /**
+   * Creates a JsonFrameDecoder instance
+   * @param {number} maxFrameSize - Maximum JSON text size in bytes
+   */
+  constructor(maxFrameSize) {
+    super(maxFrameSize);
+    this.scanned = 0;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+  }
+
+  /**
+   * Decodes the complete JSON texts of a chunk
+   * @param {Buffer} chunk - Incoming bytes
+   * @param {Buffer[]} frames - Decoded JSON texts
+   * @throws {Error} For values that are not objects or arrays, or texts past the frame limit
+   * @protected
+   */
+  _decode(chunk, frames) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    while (this.scanned < this.buffer.length) {
+      const byte = this.buffer[this.scanned++];
+
+      if (this.depth === 0) {
+        if (WHITESPACE.includes(byte)) {
+          this.buffer = this.buffer.subarray(this.scanned);
+          this.scanned = 0;
+          continue;
+        }
+        if (byte !== 0x7b && byte !== 0x5b) {
+          throw new Error(`Expected a JSON object or array, got "${String.fromCharCode(byte)}"`);
+        }
+      }
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (byte === 0x5c) {
+          this.escaped = true;
+        } else if (byte === 0x22) {
+          this.inString = false;
+        }
+      } else if (byte === 0x22) {
+        this.inString = true;
+      } else if (byte === 0x7b || byte === 0x5b) {
+        this.depth++;
+      } else if (byte === 0x7d || byte === 0x5d) {
+        this.depth--;
+        if (this.depth === 0) {
+          frames.push(Buffer.from(this.buffer.subarray(0, this.scanned)));
+          this.buffer = this.buffer.subarray(this.scanned);
+          this.scanned = 0;
+        }
+      }
+    }
+
+    if (this.buffer.length > this.maxFrameSize) {
+      throw new Error(`JSON message exceeds ${this.maxFrameSize} bytes`);
+    }
+  }
+
+  /**
+   * Checks that no partial JSON text is left
+   * @throws {Error} When the input ended inside a JSON text
+   * @protected
+   */
+  _end() {
+    if (this.buffer.length) {
+      throw new Error(`Input ended inside a JSON message (${this.buffer.length} bytes left)`);
+    }
+  }
+}
+
+/**
+ * Reads JSON-RPC 2.0 "message" notifications, alone or in batches, and returns their text.
+ * Pairs with the jsonrpc codec's encode, so both directions speak the same protocol.
+ * @example
+ * // {"jsonrpc":"2.0","method":"message","params":{"data":"hello"}}
+ */
+class JsonRpcMessageDecoder extends FrameDecoder {
+  /**
+   * Creates a JsonRpcMessageDecoder instance
+   * @param {number} maxFrameSize - Maximum JSON text size in bytes
+   */
+  constructor(maxFrameSize) {
+    super(maxFrameSize);
+    this.frames = new JsonFrameDecoder(maxFrameSize);
+  }
+
+  /**
+   * Decodes the complete notifications of a chunk
+   * @param {Buffer} chunk - Incoming bytes
+   * @param {Buffer[]} messages - Decoded message texts
+   * @throws {Error} For invalid JSON or anything but "message" notifications
+   * @protected
+   */
+  _decode(chunk, messages) {
+    this._unwrapAll(this.frames.push(chunk), messages);
+  }
+
+  /**
+   * Checks that no partial notification is left
+   * @param {Buffer[]} messages - Decoded message texts
+   * @throws {Error} When the input ended inside a notification
+   * @protected
+   */
+  _end(messages) {
+    this._unwrapAll(this.frames.end(), messages);
+  }
+
+  /**
+   * Extracts the texts of the decoded JSON texts, then rethrows the framing error that followed them
+   * @param {{messages: Buffer[], error: Error|null}} decoded - Result of the JSON frame decoder
+   * @param {Buffer[]} messages - Decoded message texts
+   * @throws {Error} For framing errors or invalid notifications
+   * @private
+   */
+  _unwrapAll({ messages: frames, error }, messages) {
+    frames.forEach(frame => messages.push(...this._unwrap(frame)));
+    if (error) {
+      throw error;
+    }
+  }
+
+  /**
+   * Extracts the texts of a notification or batch
+   * @param {Buffer} frame - JSON text
+   * @returns {Buffer[]} Message texts
+   * @private
+   */
+  _unwrap(frame) {
+    let value;
+    try {
+      value = JSON.parse(frame);
+    } catch (error) {
+      throw new Error(`Invalid JSON-RPC message: ${error.message}`);
+    }
+
+    const batch = Array.isArray(value) ? value : [value];
+    if (!batch.length) {
+      throw new Error('Empty JSON-RPC batch');
+    }
+
+    return batch.map(notification => {
+      if (
+        notification?.jsonrpc !== '2.0' ||
+        notification.method !== 'message' ||
+        typeof notification.params?.data !== 'string'
+      ) {
+        throw new Error('Expected {"jsonrpc":"2.0","method":"message","params":{"data":"..."}}');
+      }
+      return Buffer.from(notification.params.data);
+    });
+  }
+}
+
+/**
+ * Message framing codecs. Each one encodes a message into its wire format
+ * and creates decoders turning wire bytes back into messages.
+ * @type {Object<string, {encode: Function, createDecoder: Function}>}
+ */
+const CODECS = {
+  newline: {
+    encode: message => Buffer.from(`${message.toString().replace(/\r?\n/g, ' ')}\n`),
+    createDecoder: maxFrameSize => new NewlineDecoder(maxFrameSize),
+  },
+  length: {
+    encode: message => {
+      const payload = Buffer.from(message);
+      const header = Buffer.alloc(4);
+      header.writeUInt32BE(payload.length);
+      return Buffer.concat([header, payload]);
+    },
+    createDecoder: maxFrameSize => new LengthPrefixDecoder(maxFrameSize),
+  },
+  netstring: {
+    encode: message => {
+      const payload = Buffer.from(message);
+      return Buffer.concat([Buffer.from(`${payload.length}:`), payload, Buffer.from(',')]);
+    },
+    createDecoder: maxFrameSize => new NetstringDecoder(maxFrameSize),
+  },
+  jsonrpc: {
+    encode: message =>
+      Buffer.from(`${JSON.stringify({ jsonrpc: '2.0', method: 'message', params: { data: message.toString() } })}\n`),
+    createDecoder: maxFrameSize => new JsonRpcMessageDecoder(maxFrameSize),
+  },
+};
+
+/**
+ * Names of the available framings
+ * @type {string[]}
+ */
+const FRAMINGS = Object.keys(CODECS);
+
+/**
+ * Gets a framing codec
+ * @param {string} [name='newline'] - Framing name (newline, length, netstring, jsonrpc)
+ * @param {Object} [options={}] - Codec options
+ * @param {number} [options.maxFrameSize] - Maximum decoded frame size in bytes
+ * @returns {{name: string, encode: Function, createDecoder: Function}} Codec whose createDecoder takes no arguments
+ * @throws {CustomError} 400 for unknown framings
+ * @example
+ * const codec = createCodec('netstring');
+ * codec.encode('hi'); // <Buffer "2:hi,">
+ * codec.createDecoder().push(Buffer.from('2:hi,3:y')); // { messages: [<Buffer "hi">], error: null }
+ */
+const createCodec = (name = 'newline', options = {}) => {
+  if (!Object.hasOwn(CODECS, name)) {
+    throw new CustomError(`Unknown framing "${name}". Use one of: ${FRAMINGS.join(', ')}`, 400);
+  }
+
+  const { encode, createDecoder } = CODECS[name];
+  const maxFrameSize = options.maxFrameSize ?? LIMITS.MAX_FRAME_SIZE;
+  return { name, encode, createDecoder: () => createDecoder(maxFrameSize) };
+};
+
+module.exports = {
+  FRAMINGS,
+  JsonFrameDecoder,
+  createCodec,
+};
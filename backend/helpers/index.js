@@ -1,3 +1,12 @@
 module.exports = {
   CustomError: require('./CustomError'),
+  crc32: require('./crc32'),
+  expression: require('./expression'),
+  framing: require('./framing'),
+  IntentEngine: require('./IntentEngine'),
+  LRUCache: require('./LRUCache'),
+  random: require('./random'),
+  SafeRegex: require('./SafeRegex'),
+  sandbox: require('./sandbox'),
+  sessionStore: require('./sessionStore'),
 };
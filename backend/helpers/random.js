@@ -0,0 +1,38 @@
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * The same seed always yields the same sequence, which keeps generated fixtures reproducible.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Function returning a float in [0, 1), like Math.random
+ */
+const createRandom = seed => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Derives an independent seed for the nth item of a seeded sequence, so any item can be
+ * regenerated on its own (e.g. when a stream resumes from a cursor)
+ * @param {number} seed - Base seed
+ * @param {number} index - Item index
+ * @returns {number} 32-bit seed for that item
+ */
+const deriveSeed = (seed, index) => (seed ^ Math.imul(index + 1, 0x9e3779b1)) >>> 0;
+
+/**
+ * Generates a random 32-bit seed for callers that did not provide one
+ * @returns {number} 32-bit integer seed
+ */
+const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+module.exports = {
+  createRandom,
+  deriveSeed,
+  randomSeed,
+};
@@ -0,0 +1,51 @@
+const path = require('node:path');
+const CustomError = require('./CustomError');
+
+/**
+ * Root directory for every file the API reads or writes.
+ * Override with the SANDBOX_DIR environment variable.
+ * @type {string}
+ */
+const SANDBOX_ROOT = path.resolve(process.env.SANDBOX_DIR || path.join(__dirname, '..', 'sandbox'));
+
+/**
+ * Gets the absolute path of a sandbox subdirectory
+ * @param {string} name - Subdirectory name (e.g. "files", "uploads")
+ * @returns {string} Absolute directory path
+ */
+const sandboxDir = name => path.join(SANDBOX_ROOT, name);
+
+/**
+ * Checks whether a path is strictly inside a directory
+ * @param {string} directory - Absolute directory path
+ * @param {string} target - Absolute path to check
+ * @returns {boolean} True when target is inside directory
+ */
+const isInside = (directory, target) => target.startsWith(directory + path.sep);
+
+/**
+ * Resolves a client-supplied file name inside a sandbox directory
+ * @param {string} directory - Absolute sandbox directory
+ * @param {string} name - File name from the request
+ * @returns {string} Absolute file path
+ * @throws {CustomError} 400 for an empty or malformed name, 403 for paths escaping the directory
+ */
+const resolveSandboxPath = (directory, name) => {
+  if (typeof name !== 'string' || !name.trim() || name.includes('\0')) {
+    throw new CustomError('Invalid file name', 400);
+  }
+
+  const resolved = path.resolve(directory, name);
+  if (!isInside(directory, resolved)) {
+    throw new CustomError('Access outside the sandbox directory is not allowed', 403);
+  }
+
+  return resolved;
+};
+
+module.exports = {
+  SANDBOX_ROOT,
+  sandboxDir,
+  isInside,
+  resolveSandboxPath,
+};
@@ -0,0 +1,221 @@
+const crypto = require('node:crypto');
+const fsPromises = require('node:fs/promises');
+const path = require('node:path');
+
+const LRUCache = require('./LRUCache');
+const { resolveSandboxPath, sandboxDir } = require('./sandbox');
+
+/**
+ * Keeps sessions in process memory, dropping the least recently used ones when full
+ */
+class MemorySessionStore {
+  /**
+   * Creates a MemorySessionStore instance
+   * @param {Object} options - Store options
+   * @param {number} options.max - Maximum number of sessions kept
+   */
+  constructor(options) {
+    this.cache = new LRUCache({ max: options.max });
+  }
+
+  /**
+   * Gets a session
+   * @param {string} id - Session id
+   * @returns {Promise<Object|null>} Copy of the session, null when missing
+   */
+  async get(id) {
+    const session = this.cache.get(id);
+    return session ? structuredClone(session) : null;
+  }
+
+  /**
+   * Creates or replaces a session
+   * @param {Object} session - Session with an id
+   * @returns {Promise<void>}
+   */
+  async set(session) {
+    this.cache.set(session.id, structuredClone(session));
+  }
+
+  /**
+   * Removes a session
+   * @param {string} id - Session id
+   * @returns {Promise<boolean>} True when a session was removed
+   */
+  async delete(id) {
+    return this.cache.delete(id);
+  }
+
+  /**
+   * Lists every stored session
+   * @returns {Promise<Object[]>} Copies of the sessions
+   */
+  async list() {
+    return [...this.cache.entries()].map(([, session]) => structuredClone(session));
+  }
+}
+
+/**
+ * Keeps sessions as one JSON file each in a sandbox directory, so they survive restarts.
+ * When full, the least recently written session is removed to make room for a new one.
+ */
+class FileSessionStore {
+  /**
+   * Creates a FileSessionStore instance
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Absolute sandbox directory for the session files
+   * @param {number} options.max - Maximum number of sessions kept
+   */
+  constructor(options) {
+    this.directory = options.directory;
+    this.max = options.max;
+  }
+
+  /**
+   * Resolves the file of a session
+   * @param {string} id - Session id
+   * @returns {string} Absolute file path
+   * @private
+   */
+  _path(id) {
+    return resolveSandboxPath(this.directory, `${id}.json`);
+  }
+
+  /**
+   * Gets a session
+   * @param {string} id - Session id
+   * @returns {Promise<Object|null>} Session, null when missing
+   */
+  async get(id) {
+    try {
+      return JSON.parse(await fsPromises.readFile(this._path(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Creates or replaces a session. Writes a temporary file first so readers never see half a session.
+   * @param {Object} session - Session with an id
+   * @returns {Promise<void>}
+   */
+  async set(session) {
+    const filePath = this._path(session.id);
+    // Unique per write, two saves of one session can land in the same millisecond
+    const tempPath = `${filePath}.${crypto.randomUUID()}.tmp`;
+
+    await fsPromises.mkdir(this.directory, { recursive: true });
+    if (!(await this._exists(filePath))) {
+      await this._makeRoom();
+    }
+    await fsPromises.writeFile(tempPath, JSON.stringify(session));
+    await fsPromises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Checks whether a file exists
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<boolean>} True when it exists
+   * @private
+   */
+  async _exists(filePath) {
+    return fsPromises.access(filePath).then(
+      () => true,
+      () => false,
+    );
+  }
+
+  /**
+   * Removes the least recently written sessions until a new one fits
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _makeRoom() {
+    const files = (await fsPromises.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    if (files.length < this.max) {
+      return;
+    }
+
+    const stats = await Promise.all(
+      files.map(async file => {
+        const filePath = path.join(this.directory, file);
+        const { mtimeMs } = await fsPromises.stat(filePath).catch(() => ({ mtimeMs: 0 }));
+        return { filePath, mtimeMs };
+      }),
+    );
+
+    stats.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    await Promise.all(
+      stats.slice(0, files.length - this.max + 1).map(({ filePath }) => fsPromises.rm(filePath, { force: true })),
+    );
+  }
+
+  /**
+   * Removes a session
+   * @param {string} id - Session id
+   * @returns {Promise<boolean>} True when a session was removed
+   */
+  async delete(id) {
+    try {
+      await fsPromises.unlink(this._path(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lists every stored session
+   * @returns {Promise<Object[]>} Sessions
+   */
+  async list() {
+    const files = await fsPromises.readdir(this.directory).catch(error => {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    });
+
+    const sessions = await Promise.all(
+      files.filter(file => file.endsWith('.json')).map(file => this.get(file.slice(0, -'.json'.length))),
+    );
+    return sessions.filter(Boolean);
+  }
+}
+
+/**
+ * Session store backends by name
+ * @type {Object<string, Function>}
+ */
+const SESSION_STORES = {
+  memory: ({ max }) => new MemorySessionStore({ max }),
+  file: ({ name, max }) => new FileSessionStore({ directory: sandboxDir(name), max }),
+};
+
+/**
+ * Creates a session store
+ * @param {string} [type='memory'] - Backend name (memory, file)
+ * @param {Object} options - Backend options
+ * @param {number} options.max - Maximum number of sessions kept
+ * @param {string} options.name - Sandbox subdirectory for the file store
+ * @returns {MemorySessionStore|FileSessionStore} Session store
+ * @throws {Error} For unknown backends
+ */
+const createSessionStore = (type = 'memory', options) => {
+  if (!Object.hasOwn(SESSION_STORES, type)) {
+    throw new Error(`Unknown session store "${type}". Use one of: ${Object.keys(SESSION_STORES).join(', ')}`);
+  }
+  return SESSION_STORES[type](options);
+};
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+};
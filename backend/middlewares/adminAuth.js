@@ -0,0 +1,32 @@
+const crypto = require('node:crypto');
+
+const { CustomError } = require('../helpers');
+
+/**
+ * Hashes a token so tokens of any length can be compared in constant time
+ * @param {string} token - Token to hash
+ * @returns {Buffer} SHA-256 digest
+ */
+const digest = token => crypto.createHash('sha256').update(token).digest();
+
+/**
+ * Fastify preHandler guarding admin routes with the token in the ADMIN_TOKEN environment variable.
+ * Clients send it as `Authorization: Bearer <token>`; without ADMIN_TOKEN the admin routes stay closed.
+ * @async
+ * @param {Object} request - Fastify request object
+ * @returns {Promise<void>}
+ * @throws {CustomError} 403 when no admin token is configured, 401 for a missing or wrong token
+ */
+const adminAuth = async request => {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    throw new CustomError('Admin routes are disabled. Set ADMIN_TOKEN to enable them', 403);
+  }
+
+  const [scheme, given = ''] = (request.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !crypto.timingSafeEqual(digest(given), digest(token))) {
+    throw new CustomError('Invalid admin token', 401);
+  }
+};
+
+module.exports = adminAuth;
@@ -1,3 +1,4 @@
 module.exports = {
+  adminAuth: require('./adminAuth'),
   customError: require('./customError'),
 };
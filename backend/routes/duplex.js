@@ -1,10 +1,37 @@
 const { duplexController } = require('../controllers');
+const { adminAuth } = require('../middlewares');
 
 const routes = (fastify, options, done) => {
-  fastify.post('/echo', duplexController.echoStream);
-  fastify.post('/transform', duplexController.transformStream);
-  fastify.post('/chatbot', duplexController.chatBotStream);
-  fastify.post('/bidirectional', duplexController.bidirectionalStream);
+  // Length-prefixed and netstring bodies are binary, keep them as buffers
+  fastify.addContentTypeParser('application/octet-stream', { parseAs: 'buffer' }, (request, body, next) =>
+    next(null, body),
+  );
+
+  fastify.register(async instance => {
+    // Bodies are framed messages, keep JSON ones (e.g. the jsonrpc framing) as text instead of parsing them
+    instance.addContentTypeParser('application/json', { parseAs: 'string' }, (request, body, next) => next(null, body));
+    instance.post('/echo', duplexController.echoStream);
+    instance.post('/transform', duplexController.transformStream);
+    instance.post('/chatbot', duplexController.chatBotStream);
+    instance.post('/bidirectional', duplexController.bidirectionalStream);
+  });
+  fastify.get('/sessions', duplexController.listChatSessions);
+  fastify.get('/sessions/:id', duplexController.exportChatSession);
+  fastify.delete('/sessions/:id', duplexController.deleteChatSession);
+  fastify.get('/admin/personalities', duplexController.listPersonalities);
+  fastify.post('/admin/personalities', { preHandler: adminAuth }, duplexController.addPersonality);
+  fastify.register(async instance => {
+    // The full-duplex routes read the raw request stream while it is still uploading
+    instance.removeAllContentTypeParsers();
+    instance.addContentTypeParser('*', (request, payload, next) => next(null, payload));
+    instance.post('/full', duplexController.fullDuplexStream);
+    instance.post('/rpc', duplexController.jsonRpcStream);
+  });
+  fastify.get(
+    '/ws/:stream',
+    { websocket: true, preValidation: duplexController.prepareSocketStream },
+    duplexController.duplexSocket,
+  );
   done();
 };
 
@@ -1,5 +1,16 @@
 const {
-  readableController: { basicReadable, textReadable, dataReadable, logReadable },
+  readableController: {
+    basicReadable,
+    textReadable,
+    dataReadable,
+    logReadable,
+    syntheticReadable,
+    fileReadable,
+    mergeReadable,
+    tickerReadable,
+    controlTicker,
+    binaryReadable,
+  },
 } = require('../controllers');
 
 const routes = (fastify, options, done) => {
@@ -7,6 +18,12 @@ const routes = (fastify, options, done) => {
   fastify.get('/data', dataReadable);
   fastify.get('/logs', logReadable);
   fastify.get('/custom', textReadable);
+  fastify.post('/synthetic', syntheticReadable);
+  fastify.get('/file/:name', fileReadable);
+  fastify.get('/merge', mergeReadable);
+  fastify.get('/ticker', tickerReadable);
+  fastify.post('/ticker/:id', controlTicker);
+  fastify.get('/binary', binaryReadable);
   done();
 };
 
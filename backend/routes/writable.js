@@ -1,10 +1,22 @@
 const { writableController } = require('../controllers');
 
 const routes = (fastify, options, done) => {
+  // Hand the raw request stream to the handlers instead of buffering the body
+  fastify.removeAllContentTypeParsers();
+  fastify.addContentTypeParser('*', (request, payload, next) => next(null, payload));
+
   fastify.post('/collect', writableController.collectData);
   fastify.post('/process', writableController.processLines);
   fastify.post('/validate', writableController.validateData);
   fastify.post('/upload', writableController.streamUpload);
+  fastify.post('/multipart', writableController.multipartUpload);
+  fastify.post('/sink', writableController.fileSink);
+  fastify.post('/batch', writableController.batchData);
+  fastify.post('/resumable', writableController.createResumableUpload);
+  fastify.head('/resumable/:id', writableController.getResumableOffset);
+  fastify.patch('/resumable/:id', writableController.appendResumableChunk);
+  fastify.post('/resumable/:id/assemble', writableController.assembleResumableUpload);
+  fastify.delete('/resumable/:id', writableController.deleteResumableUpload);
   done();
 };
 
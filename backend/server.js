@@ -1,22 +1,32 @@
 'use strict';
 
-const app = require('./app');
+const buildApp = require('./app');
 
 const serverConfig = Object.freeze({
   port: 5001,
+  h2cPort: 5002,
   host: '127.0.0.1',
 });
 
-app.listen(
-  {
-    port: serverConfig.port,
-    host: serverConfig.host,
-  },
-  (err, address) => {
-    if (err) {
-      app.log.error(err);
-      process.exit(1);
-    }
-    app.log.info(`Server listening at ${address}`);
-  },
-);
+const app = buildApp();
+// Cleartext HTTP/2 for clients that stream the request and the response at the same time (duplex/full)
+const h2cApp = buildApp({ http2: true });
+
+[
+  [app, serverConfig.port],
+  [h2cApp, serverConfig.h2cPort],
+].forEach(([instance, port]) => {
+  instance.listen(
+    {
+      port,
+      host: serverConfig.host,
+    },
+    (err, address) => {
+      if (err) {
+        instance.log.error(err);
+        process.exit(1);
+      }
+      instance.log.info(`Server listening at ${address}`);
+    },
+  );
+});
@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { Header, InfoPanel } from '@components';
 
 const DuplexControls = ({ endpoints, activeEndpoint, onEndpointSelect, onParamChange, isProcessing }) => {
@@ -262,6 +262,14 @@ const CommunicationResults = ({ results, onClearResults }) => {
   );
 };
 
+// Stream types served over WebSocket, keyed to the results list their output frames go into
+const SOCKET_RESULT_KEYS = {
+  echo: 'echoes',
+  transform: 'transformed',
+  chatbot: 'conversation',
+  rpc: 'communication',
+};
+
 function Duplex() {
   const [activeEndpoint, setActiveEndpoint] = useState(null);
   const [inputData, setInputData] = useState('');
@@ -305,6 +313,7 @@ function Duplex() {
           label: 'Bot Personality',
           options: ['friendly', 'sarcastic', 'helpful'],
         },
+        { name: 'sessionId', type: 'text', value: '', label: 'Session ID (empty for new)' },
       ],
     },
     {
@@ -313,8 +322,66 @@ function Duplex() {
       description: 'Simulate full bidirectional communication patterns',
       params: [],
     },
+    {
+      id: 'rpc',
+      name: 'JSON-RPC Stream',
+      description: 'Send one JSON-RPC 2.0 request or batch per line, responses arrive as each call completes',
+      params: [],
+    },
+    {
+      id: 'full',
+      name: 'Full Duplex Stream',
+      description: 'Stream the body through a duplex stream and read its NDJSON frames while uploading',
+      params: [
+        {
+          name: 'stream',
+          type: 'select',
+          value: 'transform',
+          label: 'Duplex Stream',
+          options: ['transform', 'echo', 'chatbot', 'rpc'],
+        },
+        {
+          name: 'mode',
+          type: 'select',
+          value: 'reverse',
+          label: 'Transform Mode',
+          options: ['reverse', 'rot13', 'base64', 'morse'],
+        },
+        {
+          name: 'framing',
+          type: 'select',
+          value: 'newline',
+          label: 'Message Framing',
+          options: ['newline', 'netstring', 'jsonrpc'],
+        },
+      ],
+    },
   ]);
 
+  // Personalities can be added on the server, so take the options from there
+  useEffect(() => {
+    fetch(import.meta.env.VITE_STREAM_API_URL + '/duplex/admin/personalities')
+      .then(response => (response.ok ? response.json() : null))
+      .then(result => {
+        const names = result?.results.personalities.map(personality => personality.name);
+        if (!names?.length) return;
+
+        setStreamEndpoints(prev =>
+          prev.map(endpoint =>
+            endpoint.id === 'chatbot'
+              ? {
+                  ...endpoint,
+                  params: endpoint.params.map(param =>
+                    param.name === 'personality' ? { ...param, options: names } : param,
+                  ),
+                }
+              : endpoint,
+          ),
+        );
+      })
+      .catch(err => console.error('Loading personalities failed:', err));
+  }, []);
+
   const handleEndpointSelect = endpoint => {
     setActiveEndpoint(endpoint);
     setResults(null);
@@ -355,8 +422,21 @@ function Duplex() {
       queryParams.append(param.name, param.value);
     });
 
+    const resultKey = SOCKET_RESULT_KEYS[activeEndpoint.id];
+    if (resultKey) {
+      const socketUrl = new URL(`${baseUrl}/ws/${activeEndpoint.id}?${queryParams}`, window.location.href);
+      socketUrl.protocol = socketUrl.protocol === 'https:' ? 'wss:' : 'ws:';
+      handleSocketStream(socketUrl, resultKey);
+      return;
+    }
+
     const url = `${baseUrl}/${activeEndpoint.id}${queryParams.toString() ? `?${queryParams}` : ''}`;
 
+    if (activeEndpoint.id === 'full') {
+      handleFullDuplex(url);
+      return;
+    }
+
     const response = await fetch(url, {
       method: 'POST',
       headers: {
@@ -387,6 +467,102 @@ function Duplex() {
     setIsProcessing(false);
   };
 
+  const handleSocketStream = (socketUrl, resultKey) => {
+    const socket = new WebSocket(socketUrl);
+    let finished = false;
+
+    setResults({ success: true, [resultKey]: [] });
+
+    socket.onopen = () => {
+      inputData
+        .split('\n')
+        .filter(line => line.trim())
+        .forEach(line => socket.send(JSON.stringify({ type: 'message', data: line })));
+      socket.send(JSON.stringify({ type: 'end' }));
+    };
+
+    socket.onmessage = event => {
+      const frame = JSON.parse(event.data);
+
+      if (frame.type === 'output') {
+        setResults(prev => ({ ...prev, [resultKey]: [...prev[resultKey], frame.data] }));
+      } else if (frame.type === 'end') {
+        finished = true;
+        setResults(prev => ({ ...prev, stats: frame.stats }));
+        // Keep chatting in the same session on the next send
+        if (frame.stats.sessionId) {
+          handleParamChange('chatbot', 'sessionId', frame.stats.sessionId);
+        }
+      } else if (frame.type === 'error') {
+        finished = true;
+        setResults(prev => ({ ...prev, success: false, message: frame.message }));
+      }
+    };
+
+    socket.onclose = () => {
+      if (!finished) {
+        setResults(prev => ({ ...prev, success: false, message: 'Connection closed before the stream ended' }));
+      }
+      setIsProcessing(false);
+    };
+  };
+
+  const handleFullDuplex = async url => {
+    setResults({ success: true, communication: [] });
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/plain',
+      },
+      body: inputData,
+    }).catch(err => {
+      console.error('Full duplex communication failed:', err);
+      return null;
+    });
+
+    if (!response || !response.ok) {
+      const result = response ? await response.json() : {};
+      setResults({
+        success: false,
+        statusCode: response?.status,
+        message: result.message || 'An error occurred while processing the duplex stream.',
+      });
+      setIsProcessing(false);
+      return;
+    }
+
+    // Frames are newline-delimited JSON, shown as they arrive
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += value;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      lines.filter(Boolean).forEach(line => {
+        const frame = JSON.parse(line);
+
+        if (frame.type === 'output') {
+          setResults(prev => ({
+            ...prev,
+            communication: [...prev.communication, `#${frame.sequence} +${frame.at}ms: ${frame.data}`],
+          }));
+        } else if (frame.type === 'end') {
+          setResults(prev => ({ ...prev, stats: frame.stats }));
+        } else if (frame.type === 'error') {
+          setResults(prev => ({ ...prev, success: false, message: frame.message }));
+        }
+      });
+    }
+
+    setIsProcessing(false);
+  };
+
   const handleClearResults = () => {
     setResults(null);
   };
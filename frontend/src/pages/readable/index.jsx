@@ -6,7 +6,7 @@ function Readable() {
   const [streamData, setStreamData] = useState('');
   const [isStreaming, setIsStreaming] = useState(false);
   const [streamStats, setStreamStats] = useState({ chunks: 0, bytes: 0 });
-  const abortControllerRef = useRef(null);
+  const eventSourceRef = useRef(null);
 
   const streamEndpoints = [
     {
@@ -70,7 +70,14 @@ function Readable() {
     }));
   };
 
-  const startStream = async endpoint => {
+  const streamEvents = {
+    basic: ['number'],
+    data: ['item'],
+    logs: ['log.debug', 'log.info', 'log.warn', 'log.error'],
+    custom: ['text'],
+  };
+
+  const startStream = endpoint => {
     if (isStreaming) {
       stopStream();
       return;
@@ -81,8 +88,6 @@ function Readable() {
     setIsStreaming(true);
     setStreamStats({ chunks: 0, bytes: 0 });
 
-    abortControllerRef.current = new AbortController();
-
     const params = streamParams[endpoint.id];
 
     const baseUrl = import.meta.env.VITE_STREAM_API_URL + '/readable';
@@ -92,51 +97,40 @@ function Readable() {
       url.searchParams.append(key, params[key]);
     });
 
-    const response = await fetch(url, {
-      method: 'GET',
-      signal: abortControllerRef.current.signal,
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response || !response.ok) {
-      setIsStreaming(false);
-      setStreamData(`Error: Failed to start stream - ${response?.status || 'Network Error'}`);
-      return;
-    }
-
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
+    // EventSource sends Accept: text/event-stream and resumes with Last-Event-ID on reconnect
+    const eventSource = new EventSource(url);
+    eventSourceRef.current = eventSource;
 
     let chunkCount = 0;
     let totalBytes = 0;
 
-    const readStream = async () => {
-      const { done, value } = await reader.read();
-
-      if (done) {
-        setIsStreaming(false);
-        setStreamData(prev => prev + '\n\n✅ Stream completed');
-        return;
-      }
-
-      const chunk = decoder.decode(value, { stream: true });
-      totalBytes += value.length;
+    const onItem = event => {
+      totalBytes += new TextEncoder().encode(event.data).length;
       chunkCount++;
 
-      setStreamData(prev => prev + chunk);
+      setStreamData(prev => prev + event.data + '\n');
       setStreamStats({ chunks: chunkCount, bytes: totalBytes });
-
-      readStream();
     };
 
-    readStream();
+    streamEvents[endpoint.id].forEach(name => eventSource.addEventListener(name, onItem));
+
+    eventSource.addEventListener('end', () => {
+      eventSource.close();
+      setIsStreaming(false);
+      setStreamData(prev => prev + '\n\n✅ Stream completed');
+    });
+
+    eventSource.onerror = () => {
+      if (eventSource.readyState === EventSource.CLOSED) {
+        setIsStreaming(false);
+        setStreamData(prev => prev + '\n\nError: Failed to start stream - Network Error');
+      }
+    };
   };
 
   const stopStream = () => {
-    if (abortControllerRef.current) {
-      abortControllerRef.current.abort();
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
     }
     setIsStreaming(false);
     setStreamData(prev => prev + '\n\n🛑 Stream stopped');
@@ -198,7 +192,7 @@ function Readable() {
           {
             title: 'API Integration',
             description:
-              'Streams are fetched using axios with proper stream handling for real-time data processing and display.',
+              'Streams are consumed with a native EventSource: every item arrives as a Server-Sent Event with an id, so dropped connections resume where they left off.',
           },
         ]}
       />
@@ -228,7 +228,7 @@ function Writable() {
           type: 'select',
           value: 'uppercase',
           label: 'Processor Type',
-          options: ['uppercase', 'lowercase', 'reverse', 'wordCount'],
+          options: ['uppercase', 'lowercase', 'reverse', 'wordCount', 'truncate'],
         },
       ],
     },